@@ -0,0 +1,197 @@
+import {breakPoint, DrawPoint} from "./point";
+import {getCubicControlPoints, getPointOnLine} from "./curve";
+import {morphPath} from "./morph";
+import {clone} from "./util";
+
+/**
+ * Map from how far along a transition is in time to how far along it is in position,
+ * both normally within [0,1]
+ */
+export type EasingFunction = (t: number) => number;
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Standard easing functions that can be referred to by name
+ * @readonly
+ */
+export const easings = Object.freeze({
+    linear: (t: number) => t,
+    easeInQuad: (t: number) => t * t,
+    easeOutQuad: (t: number) => t * (2 - t),
+    easeInOutQuad: (t: number) => (t < 0.5) ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+    easeInCubic: (t: number) => t * t * t,
+    easeOutCubic: (t: number) => 1 - (1 - t) * (1 - t) * (1 - t),
+    easeInOutCubic: (t: number) => (t < 0.5) ? 4 * t * t * t : 1 - 4 * (1 - t) * (1 - t) * (1 - t),
+    easeInSine: (t: number) => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: (t: number) => Math.sin(t * Math.PI / 2),
+    easeInOutSine: (t: number) => (1 - Math.cos(t * Math.PI)) / 2,
+});
+
+/**
+ * Easing given either as a function or as the name of one of the standard easings
+ */
+export type Easing = EasingFunction | keyof typeof easings;
+
+export interface Keyframe {
+    // when the points should look exactly like this
+    time: number;
+    // ordered list of draw points as would be given to drawPoints
+    points: DrawPoint[];
+    // easing of the transition from this keyframe to the next; defaults to the timeline's
+    easing?: Easing;
+    // easing of individual points (by index in points) in the transition to the next keyframe
+    pointEasings?: { [index: number]: Easing };
+}
+
+export interface TimelineOptions {
+    // easing of transitions that don't specify their own
+    easing?: Easing;
+    // whether sampling past the last keyframe wraps around to the start
+    loop?: boolean;
+}
+
+function getEasingFunction(easing: Easing): EasingFunction {
+    if (typeof easing === "function") {
+        return easing;
+    }
+    if (easings.hasOwnProperty(easing) === false) {
+        throw new Error(`unknown easing ${easing}`);
+    }
+    return easings[easing];
+}
+
+function isDrawn(pt: DrawPoint): boolean {
+    return Boolean(pt) && pt.hasOwnProperty("x");
+}
+
+/**
+ * Copy draw points, keeping missing points and sentinels as they are
+ */
+function copyPoints(points: DrawPoint[]): DrawPoint[] {
+    return points.map(pt => isDrawn(pt) ? clone(pt) : pt);
+}
+
+/**
+ * Check whether two lists of draw points line up one to one so they can be blended point by point
+ */
+function isMatching(pointsA: DrawPoint[], pointsB: DrawPoint[]): boolean {
+    return pointsA.length === pointsB.length &&
+        pointsA.every((pt, i) => (isDrawn(pt) && isDrawn(pointsB[i])) || pt === pointsB[i]);
+}
+
+/**
+ * Blend a single draw point, including its control points
+ * @param t How far to blend from a to b
+ * @param a
+ * @param b
+ * @param prevA The point the curve ending at a starts from, if any
+ * @param prevB The point the curve ending at b starts from, if any
+ */
+function blendPoint(t: number, a: DrawPoint, b: DrawPoint, prevA: DrawPoint, prevB: DrawPoint): DrawPoint {
+    const blended = clone(a);
+    const {x, y} = getPointOnLine(t, a, b);
+    blended.x = x;
+    blended.y = y;
+    const sameKind = Boolean(a.cp1) === Boolean(b.cp1) && Boolean(a.cp2) === Boolean(b.cp2);
+    if (sameKind || !prevA || !prevB) {
+        // without the start of the curve they can't be raised to cubic curves, so a control point
+        // that only one of them has is blended with where the other one ends
+        ["cp1", "cp2"].forEach((cp) => {
+            if (a[cp] || b[cp]) {
+                blended[cp] = getPointOnLine(t, a[cp] || a, b[cp] || b);
+            }
+        });
+    } else {
+        // blend as cubic curves, the way transformCurve does
+        const [cp1A, cp2A] = getCubicControlPoints(prevA, a);
+        const [cp1B, cp2B] = getCubicControlPoints(prevB, b);
+        blended.cp1 = getPointOnLine(t, cp1A, cp1B);
+        blended.cp2 = getPointOnLine(t, cp2A, cp2B);
+    }
+    return blended;
+}
+
+/**
+ * Timeline of keyframes that draw points are blended between over time
+ */
+export class Timeline {
+    keyframes: Keyframe[];
+    options: TimelineOptions;
+
+    /**
+     * @param {Keyframe[]} keyframes Keyframes in any order
+     * @param {TimelineOptions} options
+     */
+    constructor(keyframes: Keyframe[], options: TimelineOptions = {}) {
+        if (keyframes.length === 0) {
+            throw new Error("a timeline needs at least one keyframe");
+        }
+        this.keyframes = keyframes.slice().sort((a, b) => a.time - b.time);
+        this.options = options;
+    }
+
+    /**
+     * Time of the first keyframe
+     */
+    get start(): number {
+        return this.keyframes[0].time;
+    }
+
+    /**
+     * Time from the first keyframe to the last
+     */
+    get duration(): number {
+        return this.keyframes[this.keyframes.length - 1].time - this.start;
+    }
+
+    /**
+     * Get the draw points at a point in time, ready to be given to drawPoints.
+     * Keyframes whose points line up one to one are blended point by point (with per point easing);
+     * otherwise they are blended with morphPath.
+     * @param time Times before the first keyframe and after the last look like those keyframes,
+     * unless the timeline loops
+     * @returns {Object[]} Blended draw points; the keyframes' points are left untouched
+     */
+    sample(time: number): DrawPoint[] {
+        const {keyframes} = this;
+        if (this.options.loop && this.duration > 0) {
+            time = this.start + ((time - this.start) % this.duration + this.duration) % this.duration;
+        }
+        if (time <= this.start) {
+            return copyPoints(keyframes[0].points);
+        }
+        let next = 1;
+        while (next < keyframes.length && keyframes[next].time <= time) {
+            ++next;
+        }
+        if (next === keyframes.length) {
+            return copyPoints(keyframes[keyframes.length - 1].points);
+        }
+
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const t = (time - from.time) / (to.time - from.time);
+        const ease = getEasingFunction(from.easing || this.options.easing || "linear");
+        if (isMatching(from.points, to.points) === false) {
+            return morphPath(ease(t), from.points, to.points);
+        }
+
+        const pointEasings = from.pointEasings || {};
+        let prevA = null, prevB = null;
+        return from.points.map((a, i) => {
+            const b = to.points[i];
+            if (!isDrawn(a)) {
+                // missing points and sentinels pass through; nothing is drawn from before a break
+                if ((a as object) === breakPoint) {
+                    prevA = prevB = null;
+                }
+                return a;
+            }
+            const pointEase = pointEasings.hasOwnProperty(i) ? getEasingFunction(pointEasings[i]) : ease;
+            const blended = blendPoint(pointEase(t), a, b, prevA, prevB);
+            prevA = a;
+            prevB = b;
+            return blended;
+        });
+    }
+}
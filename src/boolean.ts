@@ -0,0 +1,311 @@
+import {add, diff, norm, extractPoint, DrawPoint, Point} from "./point";
+import {
+    getClosestPointOnCurve, getCurveLength, getNormalAt, getPointOnCurve, getTangentAt, intersectCurves, splitCurve
+} from "./curve";
+import {
+    getClosestPointOnPath, getPathBoundingBox, getSubpaths, getWindingNumber, joinSubpaths, reverseSubpath, Subpath
+} from "./path";
+import {getSegments} from "./segment";
+import {clone} from "./util";
+
+export type BooleanOperation = "union" | "intersection" | "difference" | "xor";
+
+/**
+ * Single curve of a path boundary
+ */
+interface Piece {
+    p1: DrawPoint;
+    p2: DrawPoint;
+}
+
+// points closer than this are considered the same; boundaries closer than this are shared
+const epsilon = 1e-6;
+
+function isSamePoint(p1: Point, p2: Point): boolean {
+    return norm(diff(p1, p2)) < epsilon;
+}
+
+/**
+ * Get the closed subpaths of a path with the line back to the start drawn explicitly,
+ * leaving out any that enclose nothing
+ */
+function getClosedSubpaths(points: DrawPoint[]): DrawPoint[][] {
+    return getSubpaths(...points)
+        // a single point draws nothing, and has no curve to close it with
+        .filter(({points: subpathPoints}) => subpathPoints.length > 1)
+        .map(({points: subpathPoints}) => {
+            const closed = subpathPoints.slice();
+            if (!isSamePoint(closed[0], closed[closed.length - 1])) {
+                closed.push(extractPoint(closed[0]));
+            }
+            return closed;
+        })
+        .filter(closed => closed.length > 2 || getCurveLength(closed[0], closed[1]) > 0);
+}
+
+/**
+ * Get whether a point is inside the filled area of a path (with the nonzero fill rule)
+ */
+function isInside(pt: Point, path: DrawPoint[]): boolean {
+    return getWindingNumber(pt, ...path) !== 0;
+}
+
+/**
+ * Orient every subpath so that the area it fills is on its left (counterclockwise), making outer
+ * boundaries go counterclockwise and holes go clockwise
+ */
+function orientSubpaths(subpaths: DrawPoint[][]): DrawPoint[][] {
+    if (subpaths.length === 0) {
+        return [];
+    }
+    const path = joinSubpaths(...subpaths.map(points => ({points, closed: true})));
+    const box = getPathBoundingBox(...path);
+    const probeDistance = 1e-5 * Math.max(1, norm(diff(box.min, box.max)));
+    return subpaths.map((points) => {
+        // probe either side of the longest curve, which is least likely to be near other curves
+        let longest = 1;
+        for (let i = 2; i < points.length; ++i) {
+            if (getCurveLength(points[i - 1], points[i]) > getCurveLength(points[longest - 1], points[longest])) {
+                longest = i;
+            }
+        }
+        const p1 = points[longest - 1], p2 = points[longest];
+        const mid = getPointOnCurve(0.5, p1, p2);
+        const normal = getNormalAt(0.5, p1, p2);
+        const leftInside = isInside(add(mid, normal, probeDistance), path);
+        const rightInside = isInside(add(mid, normal, -probeDistance), path);
+        if (rightInside && !leftInside) {
+            return reverseSubpath({points, closed: true}).points;
+        }
+        return points;
+    });
+}
+
+function getPieces(subpaths: DrawPoint[][]): Piece[][] {
+    return subpaths.map((points) => {
+        const pieces = [];
+        for (let i = 1; i < points.length; ++i) {
+            pieces.push({p1: points[i - 1], p2: points[i]});
+        }
+        return pieces;
+    });
+}
+
+/**
+ * A place along a piece where it has to be split, and the exact point to split it at so that
+ * both paths meet there in exactly the same place
+ */
+interface SplitLocation {
+    t: number;
+    at: Point;
+}
+
+/**
+ * Check whether two pieces lie on top of each other along a stretch (in either direction),
+ * rather than just crossing or touching. Such a stretch of one always starts and ends at the
+ * ends of the two pieces.
+ */
+function isOverlapping(a: Piece, b: Piece): boolean {
+    const onA = [];
+    [b.p1, b.p2].forEach((end) => {
+        const closest = getClosestPointOnCurve(end, a.p1, a.p2);
+        if (closest.distance < epsilon) {
+            onA.push(closest.t);
+        }
+    });
+    [a.p1, a.p2].forEach((end, t) => {
+        if (getClosestPointOnCurve(end, b.p1, b.p2).distance < epsilon) {
+            onA.push(t);
+        }
+    });
+    const start = Math.min(...onA), end = Math.max(...onA);
+    if (onA.length < 2 || getCurveLength(a.p1, a.p2, end) - getCurveLength(a.p1, a.p2, start) < epsilon) {
+        return false;
+    }
+    return [0.25, 0.5, 0.75].every((fraction) => {
+        const pt = getPointOnCurve(start + (end - start) * fraction, a.p1, a.p2);
+        return getClosestPointOnCurve(pt, b.p1, b.p2).distance < epsilon;
+    });
+}
+
+/**
+ * Find where each piece of one path has to be split to meet the other path: where they cross,
+ * and where the ends of one path's pieces touch the other path (such as along shared edges).
+ * Pieces that lie on top of each other are only split where the ends of each touch the other,
+ * so the stretch they share becomes a piece of each that placePiece finds on the boundary.
+ */
+function findSplits(piecesA: Piece[],
+                    piecesB: Piece[]): { splitsA: SplitLocation[][], splitsB: SplitLocation[][] } {
+    const splitsA = piecesA.map(() => []);
+    const splitsB = piecesB.map(() => []);
+    piecesA.forEach((a, i) => {
+        piecesB.forEach((b, j) => {
+            if (isOverlapping(a, b)) {
+                return;
+            }
+            intersectCurves(a.p1, a.p2, b.p1, b.p2).forEach((intersection) => {
+                const at = extractPoint(intersection);
+                splitsA[i].push({t: intersection.t1, at});
+                splitsB[j].push({t: intersection.t2, at});
+            });
+        });
+    });
+
+    function addTouches(touching: Piece[], touched: Piece[], splits: SplitLocation[][]) {
+        touching.forEach(({p1}) => {
+            touched.forEach((piece, i) => {
+                const closest = getClosestPointOnCurve(p1, piece.p1, piece.p2);
+                if (closest.distance < epsilon) {
+                    splits[i].push({t: closest.t, at: extractPoint(p1)});
+                }
+            });
+        });
+    }
+
+    addTouches(piecesB, piecesA, splitsA);
+    addTouches(piecesA, piecesB, splitsB);
+    return {splitsA, splitsB};
+}
+
+/**
+ * Split a piece at every location along it
+ */
+function splitPiece(piece: Piece, splits: SplitLocation[]): Piece[] {
+    const pieces = [];
+    let p1 = piece.p1;
+    let p2 = piece.p2;
+    let start = 0;
+    splits.slice().sort((a, b) => a.t - b.t).forEach(({t, at}) => {
+        if (isSamePoint(at, p1) || isSamePoint(at, piece.p2)) {
+            return;
+        }
+        // splitting modifies the end point
+        const sp = splitCurve((t - start) / (1 - start), p1, clone(p2));
+        const end = sp.left.p2;
+        end.x = at.x;
+        end.y = at.y;
+        pieces.push({p1, p2: end});
+        p1 = extractPoint(at);
+        p2 = sp.right.p2;
+        start = t;
+    });
+    pieces.push({p1, p2});
+    return pieces;
+}
+
+/**
+ * Where a piece of one path lies relative to the other path
+ */
+type Placement = "inside" | "outside" | "sameBoundary" | "oppositeBoundary";
+
+function placePiece(piece: Piece, other: DrawPoint[]): Placement {
+    const mid = getPointOnCurve(0.5, piece.p1, piece.p2);
+    const closest = getClosestPointOnPath(mid, ...other);
+    if (closest && closest.distance < epsilon) {
+        const segment = getSegments(...other).filter(({index}) => index === closest.index)[0];
+        const direction = getTangentAt(closest.t, segment.p1, segment.p2);
+        const pieceDirection = getTangentAt(0.5, piece.p1, piece.p2);
+        return (direction.x * pieceDirection.x + direction.y * pieceDirection.y > 0) ?
+            "sameBoundary" : "oppositeBoundary";
+    }
+    return isInside(mid, other) ? "inside" : "outside";
+}
+
+function reversePiece(piece: Piece): Piece {
+    const [p1, p2] = reverseSubpath({points: [piece.p1, piece.p2], closed: false}).points;
+    return {p1, p2};
+}
+
+/**
+ * Link pieces end to start into closed loops
+ */
+function chainPieces(pieces: Piece[]): Subpath[] {
+    const loops = [];
+    const used = pieces.map(() => false);
+    for (let first = 0; first < pieces.length; ++first) {
+        if (used[first]) {
+            continue;
+        }
+        used[first] = true;
+        const points = [extractPoint(pieces[first].p1), pieces[first].p2];
+        let current = pieces[first];
+        while (!isSamePoint(current.p2, points[0])) {
+            let next = -1;
+            for (let i = 0; i < pieces.length; ++i) {
+                if (!used[i] && isSamePoint(pieces[i].p1, current.p2)) {
+                    next = i;
+                    break;
+                }
+            }
+            // nothing continues from here; close the loop as it is
+            if (next < 0) {
+                break;
+            }
+            used[next] = true;
+            current = pieces[next];
+            points.push(current.p2);
+        }
+        loops.push({points, closed: true});
+    }
+    return loops;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Combine the areas filled by two paths, keeping curves as curves rather than flattening them.
+ * Every subpath is treated as closed and filled with the nonzero fill rule; subpaths within a
+ * path should not cross each other or themselves.
+ * The boundaries of both paths are split with splitCurve where they meet and each piece is kept
+ * or dropped by whether it lies inside the other path.
+ * @param {BooleanOperation} operation "union" for the area filled by either path, "intersection" for
+ * the area filled by both, "difference" for the area filled by pathA but not pathB, and "xor" for the
+ * area filled by exactly one of them
+ * @param {Object[]} pathA Ordered list of draw points, each with x and y
+ * @param {Object[]} pathB Ordered list of draw points, each with x and y
+ * @returns {Object[]} Draw points of closed subpaths, with outer boundaries going counterclockwise
+ * and holes going clockwise
+ */
+export function combinePaths(operation: BooleanOperation, pathA: DrawPoint[], pathB: DrawPoint[]): DrawPoint[] {
+    const subpathsA = getClosedSubpaths(pathA);
+    const subpathsB = getClosedSubpaths(pathB);
+    if (subpathsA.length === 0 || subpathsB.length === 0) {
+        const remaining = (operation === "intersection") ? [] :
+            (operation === "difference") ? subpathsA : subpathsA.concat(subpathsB);
+        return joinSubpaths(...orientSubpaths(remaining).map(points => ({points, closed: true})));
+    }
+    const orientedA = orientSubpaths(subpathsA);
+    const orientedB = orientSubpaths(subpathsB);
+    const closedA = joinSubpaths(...orientedA.map(points => ({points, closed: true})));
+    const closedB = joinSubpaths(...orientedB.map(points => ({points, closed: true})));
+
+    const piecesA = [].concat(...getPieces(orientedA));
+    const piecesB = [].concat(...getPieces(orientedB));
+    const {splitsA, splitsB} = findSplits(piecesA, piecesB);
+    const splitA = [].concat(...piecesA.map((piece, i) => splitPiece(piece, splitsA[i])));
+    const splitB = [].concat(...piecesB.map((piece, i) => splitPiece(piece, splitsB[i])));
+
+    const placedA = splitA.map(piece => ({piece, placement: placePiece(piece, closedB)}));
+    const placedB = splitB.map(piece => ({piece, placement: placePiece(piece, closedA)}));
+    const select = (placed, placement: Placement) => placed
+        .filter(p => p.placement === placement)
+        .map(p => p.piece);
+
+    let kept: Piece[];
+    switch (operation) {
+        case "union":
+            kept = select(placedA, "outside").concat(select(placedA, "sameBoundary"), select(placedB, "outside"));
+            break;
+        case "intersection":
+            kept = select(placedA, "inside").concat(select(placedA, "sameBoundary"), select(placedB, "inside"));
+            break;
+        case "difference":
+            kept = select(placedA, "outside").concat(select(placedA, "oppositeBoundary"),
+                select(placedB, "inside").map(reversePiece));
+            break;
+        case "xor":
+            kept = select(placedA, "outside").concat(select(placedB, "inside").map(reversePiece),
+                select(placedB, "outside"), select(placedA, "inside").map(reversePiece));
+            break;
+    }
+    return joinSubpaths(...chainPieces(kept));
+}
@@ -2,9 +2,12 @@
  * Created by johnson on 11.05.17.
  */
 
-import {scale, add, makePoint, extractPoint, diff, getPerpendicularVector, DrawPoint, Point} from "./point";
+import {
+    scale, add, point, makePoint, extractPoint, diff, norm, getUnitVector, getPerpendicularVector,
+    DrawPoint, Point
+} from "./point";
 import {clone} from "./util";
-import {roundToDec} from "./numeric";
+import {clamp, integrate, solveCubic, solveLinear, solveQuadratic} from "./numeric";
 
 type LinearReduce<T> = (p1: Point, p2: Point) => T;
 type QuadraticReduce<T> = (p1: Point, cp: Point, p2: Point) => T;
@@ -76,6 +79,64 @@ function getCubicValue(t: number, p1: number, cp1: number, cp2: number, p2: numb
         3 * cp2 * (1 - t) * t * t + p2 * t * t * t;
 }
 
+function getLinearDerivative(t: number, p1: number, p2: number): number {
+    return p2 - p1;
+}
+
+function getQuadraticDerivative(t: number, p1: number, cp: number, p2: number): number {
+    // 2(1 - t) * (cp - p1) + 2t * (p2 - cp)
+    return 2 * (1 - t) * (cp - p1) + 2 * t * (p2 - cp);
+}
+
+function getCubicDerivative(t: number, p1: number, cp1: number, cp2: number, p2: number): number {
+    // 3(1 - t)^2 * (cp1 - p1) + 6(1 - t)t * (cp2 - cp1) + 3t^2 * (p2 - cp2)
+    return 3 * (1 - t) * (1 - t) * (cp1 - p1) + 6 * (1 - t) * t * (cp2 - cp1) +
+        3 * t * t * (p2 - cp2);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the derivative of the [p1, p2] curve with respect to t; conceptually the velocity
+ * of travelling along the curve at t
+ * @param t
+ * @param p1
+ * @param p2
+ * @returns {{x: number, y: number}}
+ */
+export function getDerivativeOnCurve(t: number, p1: DrawPoint, p2: DrawPoint): Point {
+    return applyToCurve(p1, p2, {
+        linear: (...cps) => makePoint(getLinearDerivative.bind(null, t), ...cps),
+        quadratic: (...cps) => makePoint(getQuadraticDerivative.bind(null, t), ...cps),
+        cubic: (...cps) => makePoint(getCubicDerivative.bind(null, t), ...cps),
+    });
+}
+
+function getQuadraticSecondDerivative(t: number, p1: number, cp: number, p2: number): number {
+    return 2 * (p1 - 2 * cp + p2);
+}
+
+function getCubicSecondDerivative(t: number, p1: number, cp1: number, cp2: number, p2: number): number {
+    // 6(1 - t) * (cp2 - 2cp1 + p1) + 6t * (p2 - 2cp2 + cp1)
+    return 6 * (1 - t) * (cp2 - 2 * cp1 + p1) + 6 * t * (p2 - 2 * cp2 + cp1);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the second derivative of the [p1, p2] curve with respect to t; conceptually the
+ * acceleration of travelling along the curve at t
+ * @param t
+ * @param p1
+ * @param p2
+ * @returns {{x: number, y: number}}
+ */
+export function getSecondDerivativeOnCurve(t: number, p1: DrawPoint, p2: DrawPoint): Point {
+    return applyToCurve(p1, p2, {
+        linear: () => point(0, 0),
+        quadratic: (...cps) => makePoint(getQuadraticSecondDerivative.bind(null, t), ...cps),
+        cubic: (...cps) => makePoint(getCubicSecondDerivative.bind(null, t), ...cps),
+    });
+}
+
 type SplitSide = { p1: DrawPoint, p2: DrawPoint };
 type SplitResult = { left: SplitSide, right: SplitSide };
 
@@ -125,6 +186,8 @@ function splitQuadratic(t: number, p1: DrawPoint, cp: DrawPoint, p2: DrawPoint):
         p2
     };
     right.p2.cp1 = E;
+    // the control point could have come from cp2, which would otherwise make this a cubic
+    delete right.p2.cp2;
 
     return {
         left,
@@ -170,150 +233,34 @@ export function splitCurve(t: number, p1: DrawPoint, p2: DrawPoint): SplitResult
     });
 }
 
-function interpolateLinear(p1: number, p2: number, p: number) {
-    // infinite number of options, can't calculate
-    if (p2 === p1) {
-        return [];
-    }
-    // t
-    return [(p - p1) / (p2 - p1)];
-}
-
-type QuadraticEquationResult = [] | [number, number];
-
-function solveQuadraticEquation(a: number, b: number, c: number): QuadraticEquationResult {
-
-    const discriminant = b * b - 4 * a * c;
-
-    if (discriminant < 0) {
-        return [];
-
-    } else {
-        return [
-            (-b + Math.sqrt(discriminant)) / (2 * a),
-            (-b - Math.sqrt(discriminant)) / (2 * a)
-        ];
-    }
+function interpolateLinear(p1: number, p2: number, p: number): number[] {
+    // no solutions when p1 = p2, or infinitely many which can't be listed
+    return solveLinear(p2 - p1, p1 - p);
 }
 
-
-function interpolateQuadratic(p1: number, cp1: number, p2: number, p: number): QuadraticEquationResult {
+function interpolateQuadratic(p1: number, cp1: number, p2: number, p: number): number[] {
     const a = (p1 - 2 * cp1 + p2);
     const b = 2 * (cp1 - p1);
     const c = p1 - p;
 
     // 2 possible values for t
-    return solveQuadraticEquation(a, b, c);
+    return solveQuadratic(a, b, c);
 }
 
-function cubeRoot(v: number): number {
-    if (v < 0) {
-        return -Math.pow(-v, 1 / 3);
-    } else {
-        return Math.pow(v, 1 / 3);
-    }
-}
-
-type CubicEquationResult = [] | [number] | [number, number] | [number, number, number];
-
-/**
- * Solve a cubic equation of the form x^3 + a * x^2 + b * x + c = 0 for x
- * Uses Cardano's equation
- * See https://trans4mind.com/personal_development/mathematics/polynomials/cubicAlgebra.htm
- * @param a
- * @param b
- * @param c
- * @returns {*}
- */
-function solveCubicEquation(a: number, b: number, c: number): CubicEquationResult {
-
-    const a3 = a / 3;
-    // reduce to t^3 + p * t + q = 0 form
-    // always reducible by substituting x = t - a / 3
-    const p = (3 * b - a * a) / 3;
-    const p3 = p / 3;
-    const q = (2 * a * a * a - 9 * a * b + 27 * c) / 27;
-    const q2 = q / 2;
-
-    // further transformation into (u - v)^3 + 3uv(u - v) = u^3 - v^3
-    // with substitutions p = 3uv, -q = u^3 - v^3, t = u - v
-    // v = p/(3u) substituted into
-    // u^3 - v^3 = -q gives
-    // u^3 + q - (p/(3u))^3 = 0 multiply by u^3
-    // u^6 + qu^3 - (p/3)^3 = 0 quadratic in u^3
-    // u^3 = (-q +- sqrt(q^3 + 4(p/3)^3)) / 2 simplified to
-    // u^3 = -q/2 +- sqrt((q/2)^2 + (p/3)^3) get v^3 from u^3 - v^3 = -q
-    // v^3 = q/2  +- sqrt((q/2)^2 + (p/3)^3)
-    // and determine the discriminant:
-    const discriminant = roundToDec(q2 * q2 + p3 * p3 * p3, 8);
-
-    // 1 real root
-    if (discriminant > 0) {
-        const sqrtDiscriminant = Math.sqrt(discriminant);
-        const u = cubeRoot(-q2 + sqrtDiscriminant);
-        const v = cubeRoot(q2 + sqrtDiscriminant);
-        const x1 = u - v - a3;
-        // ignore other imaginary roots
-        return [x1];
-    }
-
-    // all roots real (3 in total, 1 single and 1 double)
-    if (discriminant === 0) {
-        // v = -u
-        const u = cubeRoot(-q2);
-        // t = u - v, x = t - a/3 = u - v - a/3 = 2u - a/3
-        const x1 = 2 * u - a3;
-        // conjugate roots produce 1 double root
-        const x2 = -u - a3;
-        return [x1, x2];
-    }
-
-    // all roots are real and different (unpleasant imaginary discriminant)
-    // first represent in polar form (a + bi) = r(cos(phi) + i*sin(phi))
-    // factoring out i = sqrt(-1)
-    // u^3 = -q/2 + i*sqrt(-discriminant)
-    // v^3 = q/2  + i*sqrt(-discriminant)
-    // for u^3, a = -q/2, b = sqrt(-discriminant)
-    // r^2 = a^2 + b^2 = (-q/2)^2 - discriminant
-    // r^2 = (q/2)^2 - ((q/2)^2 + (p/3)^3) = -(p/3)^3
-    const r = Math.sqrt(-p3 * p3 * p3);
-    // cos(phi) = a/r (triangle with a along Re, b along Im and r hypotenuse)
-    let cosphi = -q2 / r;
-    // correct for float rounding
-    if (cosphi < -1) {
-        cosphi = -1;
-    } else if (cosphi > 1) {
-        cosphi = 1;
-    }
-    const phi = Math.acos(cosphi);
-    // de Moivre's law -> [r(cos(phi) + i*sin(phi)]^n = r^n * (cos(phi/n) + i*sin(phi/n))
-    // values below easy to see if seen as vectors in complex plane
-    // u = r^(1/3) * (cos(phi/3)  + i*sin(phi/3))
-    // v = r^(1/3) * (-cos(phi/3) + i*sin(phi/3))
-    // x = u - v - a/3
-    // imaginary parts cancel out
-    const commonPrefix = 2 * cubeRoot(r);
-    const x1 = commonPrefix * Math.cos(phi / 3) - a3;
-    const x2 = commonPrefix * Math.cos((phi + 2 * Math.PI) / 3) - a3;
-    const x3 = commonPrefix * Math.cos((phi + 4 * Math.PI) / 3) - a3;
-    return [x1, x2, x3];
-}
-
-function interpolateCubic(p1: number, cp1: number, cp2: number, p2: number, p: number): CubicEquationResult {
+function interpolateCubic(p1: number, cp1: number, cp2: number, p2: number, p: number): number[] {
     // and rewrite from [a(1-t)^3 + 3bt(1-t)^2 + 3c(1-t)t^2 + dt^3] form
     p1 -= p;
     cp1 -= p;
     cp2 -= p;
     p2 -= p;
 
-    // to [t^3 + at^2 + bt + c] form:
-    const d = -p1 + 3 * cp1 - 3 * cp2 + p2;
-    const a = (3 * p1 - 6 * cp1 + 3 * cp2) / d;
-    const b = (-3 * p1 + 3 * cp1) / d;
-    const c = p1 / d;
+    // to [at^3 + bt^2 + ct + d] form, which is of lower degree if control points line up
+    const a = -p1 + 3 * cp1 - 3 * cp2 + p2;
+    const b = 3 * p1 - 6 * cp1 + 3 * cp2;
+    const c = -3 * p1 + 3 * cp1;
+    const d = p1;
 
-    // @ts-ignore
-    return solveCubicEquation(a, b, c).map(t=>roundToDec(t, 4));
+    return solveCubic(a, b, c, d);
 }
 
 
@@ -325,7 +272,8 @@ interface InterpolatePoint extends DrawPoint {
 /**
  * Get points along the curve from t = [0,1] that share the fixed dimension as betweenPoint.
  * For example, if betweenPoint = {x:10, y:null}, then we are looking for all points with
- * x = 10.
+ * x = 10. Curves whose control points line up are solved as the lower degree curves they are,
+ * and every t is refined with Newton's method.
  * @param p1
  * @param p2
  * @param betweenPoint Query that has either x or y set to null which is to be determined
@@ -341,18 +289,7 @@ export function interpolateCurve(p1: DrawPoint, p2: DrawPoint, betweenPoint: Poi
         return [];
     }
 
-    const ts = applyToCurve(p1, p2, {
-        // @ts-ignore
-        linear: (...cps) => interpolateLinear(...cps.map(cp => cp[knownDim]), betweenPoint[knownDim]),
-        // @ts-ignore
-        quadratic: (...cps) => interpolateQuadratic(...cps.map(cp => cp[knownDim]), betweenPoint[knownDim]),
-        // @ts-ignore
-        cubic: (...cps) => interpolateCubic(...cps.map(cp => cp[knownDim]), betweenPoint[knownDim]),
-    }).filter((t) => {
-        // solving cubic equations is not very numerically stable...
-        t = roundToDec(t, 3);
-        return t >= 0 && t <= 1;
-    });
+    const ts = getCurveRoots(getControlPolygon(p1, p2).map(cp => cp[knownDim] - betweenPoint[knownDim]));
 
     return ts.map((t) => {
         const p = getPointOnCurve(t, p1, p2) as InterpolatePoint;
@@ -500,3 +437,595 @@ export function continueCurve(p1: DrawPoint, p2: DrawPoint, scaleBy: number = 1)
         }
     });
 }
+
+/**
+ * Get the point at an angle along an ellipse
+ * @param center Center of the ellipse
+ * @param rx Radius along the ellipse's own x axis
+ * @param ry Radius along the ellipse's own y axis
+ * @param cosRot Cached cos of the ellipse's rotation
+ * @param sinRot Cached sin of the ellipse's rotation
+ * @param u x coordinate on the unit circle
+ * @param v y coordinate on the unit circle
+ */
+function mapToEllipse(center: Point, rx: number, ry: number, cosRot: number, sinRot: number,
+                      u: number, v: number): Point {
+    return {
+        x: center.x + rx * cosRot * u - ry * sinRot * v,
+        y: center.y + rx * sinRot * u + ry * cosRot * v,
+    };
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the cubic drawpoints approximating an elliptical arc. The arc is broken up so that
+ * no single curve covers more than a quarter of the ellipse.
+ * @param center Center of the ellipse
+ * @param rx Radius along the ellipse's own x axis
+ * @param ry Radius along the ellipse's own y axis
+ * @param startAngle Radians counterclockwise from the ellipse's x axis where the arc starts
+ * @param sweepAngle Radians to travel along the ellipse; positive is counterclockwise
+ * @param rotation Radians counterclockwise the ellipse's x axis is rotated by
+ * @returns {Array} End points of each curve along the arc, holding their control points.
+ * The point at startAngle is not included since it is the end of the previous curve.
+ */
+export function getArcCurves(center: Point, rx: number, ry: number, startAngle: number,
+                             sweepAngle: number, rotation: number = 0): DrawPoint[] {
+    const numCurves = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+    const delta = sweepAngle / numCurves;
+    // distance along the tangent to place control points for a circular arc of delta
+    const k = 4 / 3 * Math.tan(delta / 4);
+    const cosRot = Math.cos(rotation), sinRot = Math.sin(rotation);
+
+    const curves = [];
+    let angle = startAngle;
+    for (let i = 0; i < numCurves; ++i) {
+        const cos1 = Math.cos(angle), sin1 = Math.sin(angle);
+        angle += delta;
+        const cos2 = Math.cos(angle), sin2 = Math.sin(angle);
+
+        const end = mapToEllipse(center, rx, ry, cosRot, sinRot, cos2, sin2) as DrawPoint;
+        end.cp1 = mapToEllipse(center, rx, ry, cosRot, sinRot, cos1 - k * sin1, sin1 + k * cos1);
+        end.cp2 = mapToEllipse(center, rx, ry, cosRot, sinRot, cos2 + k * sin2, sin2 - k * cos2);
+        curves.push(end);
+    }
+    return curves;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the length of the [p1, p2] curve, optionally only up to t
+ * @param p1
+ * @param p2
+ * @param t How far along the curve to measure up to; 1 measures the whole curve
+ * @returns {number} Distance travelled along the curve from p1
+ */
+export function getCurveLength(p1: DrawPoint, p2: DrawPoint, t: number = 1): number {
+    return applyToCurve(p1, p2, {
+        // exact for lines
+        linear: (ep1, ep2) => norm(diff(ep1, ep2)) * t,
+        quadratic: () => integrate(tt => norm(getDerivativeOnCurve(tt, p1, p2)), 0, t),
+        cubic: () => integrate(tt => norm(getDerivativeOnCurve(tt, p1, p2)), 0, t),
+    });
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the t at which travelling along the [p1, p2] curve covers a given distance.
+ * Unlike t, equal steps of length are spread evenly along the curve.
+ * @param length Distance along the curve from p1; clamped to the curve's length
+ * @param p1
+ * @param p2
+ * @param curveLength Length of the entire curve, if already known
+ * @returns {number} t in [0,1]
+ */
+export function getTAtLength(length: number, p1: DrawPoint, p2: DrawPoint,
+                             curveLength: number = getCurveLength(p1, p2)): number {
+    if (length <= 0) {
+        return 0;
+    }
+    if (length >= curveLength) {
+        return 1;
+    }
+    // Newton's method since the derivative of length with respect to t is the speed,
+    // falling back on bisection whenever it would step outside the bracket
+    let lo = 0, hi = 1;
+    let t = length / curveLength;
+    for (let i = 0; i < 50; ++i) {
+        const error = getCurveLength(p1, p2, t) - length;
+        if (Math.abs(error) < 1e-9) {
+            break;
+        }
+        if (error > 0) {
+            hi = t;
+        } else {
+            lo = t;
+        }
+        const speed = norm(getDerivativeOnCurve(t, p1, p2));
+        let next = t - error / speed;
+        if (speed === 0 || !(next > lo && next < hi)) {
+            next = (lo + hi) / 2;
+        }
+        t = next;
+    }
+    return clamp(t, 0, 1);
+}
+
+/**
+ * Axis aligned box bounding a curve or path
+ */
+export interface BoundingBox {
+    // corner with the smallest x and y
+    min: Point;
+    // corner with the largest x and y
+    max: Point;
+}
+
+function getQuadraticExtrema(p1: number, cp: number, p2: number): number[] {
+    // derivative is linear; 2(1 - t) * (cp - p1) + 2t * (p2 - cp) = 0
+    return solveLinear(p1 - 2 * cp + p2, cp - p1);
+}
+
+function getCubicExtrema(p1: number, cp1: number, cp2: number, p2: number): number[] {
+    // derivative gathered into at^2 + bt + c (common factor of 3 dropped)
+    const a = -p1 + 3 * cp1 - 3 * cp2 + p2;
+    const b = 2 * (p1 - 2 * cp1 + cp2);
+    const c = cp1 - p1;
+    return solveQuadratic(a, b, c);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the smallest axis aligned box containing the [p1, p2] curve. Control points
+ * are only included where the curve actually reaches them.
+ * @param p1
+ * @param p2
+ * @returns {BoundingBox}
+ */
+export function getCurveBoundingBox(p1: DrawPoint, p2: DrawPoint): BoundingBox {
+    const box = {
+        min: point(Math.min(p1.x, p2.x), Math.min(p1.y, p2.y)),
+        max: point(Math.max(p1.x, p2.x), Math.max(p1.y, p2.y)),
+    };
+    const dims: ("x" | "y")[] = ["x", "y"];
+    dims.forEach((dim) => {
+        const ts = applyToCurve<number[]>(p1, p2, {
+            linear: () => [],
+            quadratic: (start, cp, end) => getQuadraticExtrema(start[dim], cp[dim], end[dim]),
+            cubic: (start, cp1, cp2, end) => getCubicExtrema(start[dim], cp1[dim], cp2[dim], end[dim]),
+        });
+        ts.forEach((t) => {
+            if (t > 0 && t < 1) {
+                const value = getPointOnCurve(t, p1, p2)[dim];
+                box.min[dim] = Math.min(box.min[dim], value);
+                box.max[dim] = Math.max(box.max[dim], value);
+            }
+        });
+    });
+    return box;
+}
+
+/**
+ * Find where a curve whose y only increases or only decreases over [ta, tb] reaches y
+ */
+function findMonotoneT(p1: DrawPoint, p2: DrawPoint, y: number, ta: number, tb: number): number {
+    const ys = getControlPolygon(p1, p2).map(cp => cp.y - y);
+    const candidates = getCurveRoots(ys).filter(t => t >= ta - 1e-9 && t <= tb + 1e-9);
+    if (candidates.length) {
+        return candidates[0];
+    }
+    // the solvers can miss roots that graze the ends; fall back on bisection
+    const increasing = getPointOnCurve(ta, p1, p2).y < getPointOnCurve(tb, p1, p2).y;
+    for (let i = 0; i < 60; ++i) {
+        const mid = (ta + tb) / 2;
+        if ((getPointOnCurve(mid, p1, p2).y < y) === increasing) {
+            ta = mid;
+        } else {
+            tb = mid;
+        }
+    }
+    return (ta + tb) / 2;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get how much the [p1, p2] curve winds counterclockwise around a point, by counting where it
+ * crosses the ray going from the point towards increasing x. Summed over every curve of a
+ * closed path this gives the path's winding number around the point. Crossings are counted
+ * over half-open ranges of y so that curves meeting on the ray are only counted once.
+ * @param pt
+ * @param p1
+ * @param p2
+ * @returns {number} 1 for each crossing going towards increasing y, -1 for each going towards
+ * decreasing y
+ */
+export function getCurveWinding(pt: Point, p1: DrawPoint, p2: DrawPoint): number {
+    const box = getPolygonBoundingBox(getControlPolygon(p1, p2));
+    if (box.min.y > pt.y || box.max.y < pt.y || box.max.x <= pt.x) {
+        return 0;
+    }
+    // split into pieces where y either only increases or only decreases
+    const extrema = applyToCurve(p1, p2, {
+        linear: () => [],
+        quadratic: (...cps) => getQuadraticExtrema(cps[0].y, cps[1].y, cps[2].y),
+        cubic: (...cps) => getCubicExtrema(cps[0].y, cps[1].y, cps[2].y, cps[3].y),
+    }).filter(t => t > 0 && t < 1).sort((a, b) => a - b);
+    const ts = [0].concat(extrema, [1]);
+
+    let winding = 0;
+    for (let i = 1; i < ts.length; ++i) {
+        const ya = (i === 1) ? p1.y : getPointOnCurve(ts[i - 1], p1, p2).y;
+        const yb = (i === ts.length - 1) ? p2.y : getPointOnCurve(ts[i], p1, p2).y;
+        const up = ya <= pt.y && pt.y < yb;
+        const down = yb <= pt.y && pt.y < ya;
+        if (up || down) {
+            const t = findMonotoneT(p1, p2, pt.y, ts[i - 1], ts[i]);
+            if (getPointOnCurve(t, p1, p2).x > pt.x) {
+                winding += up ? 1 : -1;
+            }
+        }
+    }
+    return winding;
+}
+
+/**
+ * Point where two curves cross
+ */
+export interface Intersection extends Point {
+    // how far along the first curve the intersection is
+    t1: number;
+    // how far along the second curve (or line) the intersection is
+    t2: number;
+}
+
+/**
+ * Get the t values in [0,1] where a single dimension of a curve is 0
+ * @param values The dimension's value at the start, control points, and end
+ */
+function getCurveRoots(values: number[]): number[] {
+    let ts;
+    if (values.length === 2) {
+        ts = interpolateLinear(values[0], values[1], 0);
+    } else if (values.length === 3) {
+        ts = interpolateQuadratic(values[0], values[1], values[2], 0);
+    } else {
+        ts = interpolateCubic(values[0], values[1], values[2], values[3], 0);
+    }
+    // roots are exact up to rounding, so ones just outside are really at the ends
+    return ts.filter(t => t >= -1e-9 && t <= 1 + 1e-9).map(t => clamp(t, 0, 1));
+}
+
+/**
+ * Get the start, control points, and end of a curve
+ */
+function getControlPolygon(p1: DrawPoint, p2: DrawPoint): Point[] {
+    return applyToCurve<Point[]>(p1, p2, {
+        linear: (...cps) => cps,
+        quadratic: (...cps) => cps,
+        cubic: (...cps) => cps,
+    });
+}
+
+function getPolygonBoundingBox(points: Point[]): BoundingBox {
+    // folded rather than spread into Math.min, which has a limit on how many arguments it takes
+    return points.reduce((box, pt) => ({
+        min: point(Math.min(box.min.x, pt.x), Math.min(box.min.y, pt.y)),
+        max: point(Math.max(box.max.x, pt.x), Math.max(box.max.y, pt.y)),
+    }), {min: point(Infinity, Infinity), max: point(-Infinity, -Infinity)});
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get where the [p1, p2] curve crosses the infinite line going through l1 and l2
+ * @param p1
+ * @param p2
+ * @param l1 A point on the line
+ * @param l2 Another point on the line
+ * @returns {Intersection[]} Crossings ordered along the curve, where t2 is how far along
+ * l1 -> l2 the crossing is (it can be outside [0,1] since the line does not end)
+ */
+export function intersectCurveWithLine(p1: DrawPoint, p2: DrawPoint, l1: Point, l2: Point): Intersection[] {
+    const direction = diff(l1, l2);
+    const lengthSquared = direction.x * direction.x + direction.y * direction.y;
+    if (lengthSquared === 0) {
+        return [];
+    }
+    // signed distance (scaled by the line's length) of each control point from the line;
+    // the curve crosses the line where the curve made from these distances is 0
+    const distances = getControlPolygon(p1, p2).map((pt) => {
+        const v = diff(l1, pt);
+        return direction.x * v.y - direction.y * v.x;
+    });
+    return getCurveRoots(distances).map((t) => {
+        // polish the root since the solvers aren't very numerically stable
+        for (let i = 0; i < 4; ++i) {
+            const v = diff(l1, getPointOnCurve(t, p1, p2));
+            const d = getDerivativeOnCurve(t, p1, p2);
+            const slope = direction.x * d.y - direction.y * d.x;
+            if (slope === 0) {
+                break;
+            }
+            t = clamp(t - (direction.x * v.y - direction.y * v.x) / slope, 0, 1);
+        }
+        const pt = getPointOnCurve(t, p1, p2);
+        const v = diff(l1, pt);
+        return {
+            x: pt.x,
+            y: pt.y,
+            t1: t,
+            t2: (v.x * direction.x + v.y * direction.y) / lengthSquared,
+        };
+    }).sort((a, b) => a.t1 - b.t1);
+}
+
+type CurveRange = { p1: DrawPoint, p2: DrawPoint, t0: number, t1: number };
+
+/**
+ * Recursively split two curves in halves and keep the halves whose control polygons overlap
+ * until they are small enough to be considered intersecting
+ */
+function subdivideIntersection(a: CurveRange, b: CurveRange, tolerance: number,
+                               candidates: [number, number][], depth: number) {
+    const boxA = getPolygonBoundingBox(getControlPolygon(a.p1, a.p2));
+    const boxB = getPolygonBoundingBox(getControlPolygon(b.p1, b.p2));
+    if (boxA.min.x > boxB.max.x || boxB.min.x > boxA.max.x ||
+        boxA.min.y > boxB.max.y || boxB.min.y > boxA.max.y) {
+        return;
+    }
+    const sizeA = Math.max(boxA.max.x - boxA.min.x, boxA.max.y - boxA.min.y);
+    const sizeB = Math.max(boxB.max.x - boxB.min.x, boxB.max.y - boxB.min.y);
+    // overlapping curves would otherwise keep producing candidates
+    if ((sizeA <= tolerance && sizeB <= tolerance) || depth <= 0 || candidates.length > 1000) {
+        candidates.push([(a.t0 + a.t1) / 2, (b.t0 + b.t1) / 2]);
+        return;
+    }
+
+    function halve(range: CurveRange): CurveRange[] {
+        const sp = splitCurve(0.5, range.p1, clone(range.p2));
+        const mid = (range.t0 + range.t1) / 2;
+        return [
+            {p1: sp.left.p1, p2: sp.left.p2, t0: range.t0, t1: mid},
+            {p1: sp.right.p1, p2: sp.right.p2, t0: mid, t1: range.t1},
+        ];
+    }
+
+    if (sizeA >= sizeB) {
+        halve(a).forEach(half => subdivideIntersection(half, b, tolerance, candidates, depth - 1));
+    } else {
+        halve(b).forEach(half => subdivideIntersection(a, half, tolerance, candidates, depth - 1));
+    }
+}
+
+/**
+ * Merge candidates from neighbouring pieces of the curves, which are all close enough where the
+ * curves touch rather than cross, keeping for each run of them the one where the curves are closest
+ */
+function mergeCandidates(a1: DrawPoint, a2: DrawPoint, b1: DrawPoint, b2: DrawPoint,
+                         candidates: [number, number][], tolerance: number): [number, number][] {
+    const located = candidates.slice().sort((u, v) => u[0] - v[0]).map(([s, t]) => {
+        const pa = getPointOnCurve(s, a1, a2), pb = getPointOnCurve(t, b1, b2);
+        return {s, t, pa, pb, gap: norm(diff(pa, pb))};
+    });
+    const runs = [];
+    located.forEach((candidate) => {
+        const run = runs[runs.length - 1];
+        const previous = run && run[run.length - 1];
+        // neighbouring pieces are at most the tolerance in size, so their middles are close
+        if (previous && norm(diff(previous.pa, candidate.pa)) <= 2 * tolerance &&
+            norm(diff(previous.pb, candidate.pb)) <= 2 * tolerance) {
+            run.push(candidate);
+        } else {
+            runs.push([candidate]);
+        }
+    });
+    return runs.map((run) => {
+        const closest = run.reduce((best, candidate) => (candidate.gap < best.gap) ? candidate : best);
+        return [closest.s, closest.t] as [number, number];
+    });
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get where the [a1, a2] curve crosses the [b1, b2] curve. Each can be linear,
+ * quadratic, or cubic. Curves that overlap along a stretch rather than cross at points
+ * give an approximation of points along the overlap.
+ * @param a1 Start of the first curve
+ * @param a2 End of the first curve
+ * @param b1 Start of the second curve
+ * @param b2 End of the second curve
+ * @returns {Intersection[]} Crossings ordered along the first curve
+ */
+export function intersectCurves(a1: DrawPoint, a2: DrawPoint, b1: DrawPoint, b2: DrawPoint): Intersection[] {
+    const aIsLinear = !a2.cp1 && !a2.cp2;
+    const bIsLinear = !b2.cp1 && !b2.cp2;
+    if (aIsLinear || bIsLinear) {
+        // exact solution from treating one of them as an infinite line
+        const flip = !aIsLinear;
+        const [c1, c2, l1, l2] = flip ? [a1, a2, b1, b2] : [b1, b2, a1, a2];
+        return intersectCurveWithLine(c1, c2, l1, l2)
+            .filter(intersection => intersection.t2 >= -1e-9 && intersection.t2 <= 1 + 1e-9)
+            .map((intersection) => {
+                const t = clamp(intersection.t2, 0, 1);
+                return {
+                    x: intersection.x,
+                    y: intersection.y,
+                    t1: flip ? intersection.t1 : t,
+                    t2: flip ? t : intersection.t1,
+                };
+            })
+            .sort((a, b) => a.t1 - b.t1);
+    }
+
+    const tolerance = 1e-3;
+    const candidates = [];
+    subdivideIntersection({p1: a1, p2: a2, t0: 0, t1: 1}, {p1: b1, p2: b2, t0: 0, t1: 1},
+        tolerance, candidates, 40);
+
+    const intersections = [];
+    // Newton's method can't bring together candidates where the curves touch, since they are
+    // parallel there, so those are merged beforehand
+    mergeCandidates(a1, a2, b1, b2, candidates, tolerance).forEach(([s, t]) => {
+        // refine with Newton's method on A(s) - B(t) = 0
+        for (let i = 0; i < 8; ++i) {
+            // diff(B, A) = A - B
+            const f = diff(getPointOnCurve(t, b1, b2), getPointOnCurve(s, a1, a2));
+            const da = getDerivativeOnCurve(s, a1, a2);
+            const db = getDerivativeOnCurve(t, b1, b2);
+            // Jacobian is [da, -db]
+            const det = -da.x * db.y + da.y * db.x;
+            if (Math.abs(det) < 1e-12) {
+                break;
+            }
+            s = clamp(s - (-db.y * f.x + db.x * f.y) / det, 0, 1);
+            t = clamp(t - (-da.y * f.x + da.x * f.y) / det, 0, 1);
+        }
+        // candidates from the same crossing converge to the same place
+        if (intersections.some(other =>
+            Math.abs(other.t1 - s) < 1e-6 && Math.abs(other.t2 - t) < 1e-6)) {
+            return;
+        }
+        const pa = getPointOnCurve(s, a1, a2);
+        const pb = getPointOnCurve(t, b1, b2);
+        intersections.push({x: (pa.x + pb.x) / 2, y: (pa.y + pb.y) / 2, t1: s, t2: t});
+    });
+    return intersections.sort((a, b) => a.t1 - b.t1);
+}
+
+/**
+ * Point on a curve closest to some query point
+ */
+export interface ProjectedPoint extends Point {
+    // how far along the curve the point is
+    t: number;
+    // distance from the query point
+    distance: number;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the point along the [p1, p2] curve (t in [0,1]) closest to a query point
+ * @param pt Query point
+ * @param p1
+ * @param p2
+ * @returns {ProjectedPoint} Closest point, with how far along the curve it is and its
+ * distance from pt
+ */
+export function getClosestPointOnCurve(pt: Point, p1: DrawPoint, p2: DrawPoint): ProjectedPoint {
+    function project(t: number): ProjectedPoint {
+        const closest = getPointOnCurve(t, p1, p2);
+        return {x: closest.x, y: closest.y, t, distance: norm(diff(pt, closest))};
+    }
+
+    return applyToCurve(p1, p2, {
+        linear(ep1, ep2) {
+            // exact projection onto the line
+            const line = diff(ep1, ep2);
+            const lengthSquared = line.x * line.x + line.y * line.y;
+            if (lengthSquared === 0) {
+                return project(0);
+            }
+            const v = diff(ep1, pt);
+            return project(clamp((v.x * line.x + v.y * line.y) / lengthSquared, 0, 1));
+        },
+        quadratic: () => projectOntoCurve(),
+        cubic: () => projectOntoCurve(),
+    });
+
+    function projectOntoCurve(): ProjectedPoint {
+        // coarse samples to find the right neighbourhood since there could be multiple local minima
+        const numSamples = 16;
+        let best = project(0);
+        for (let i = 1; i <= numSamples; ++i) {
+            const candidate = project(i / numSamples);
+            if (candidate.distance < best.distance) {
+                best = candidate;
+            }
+        }
+        // Newton's method to find where the vector to pt is perpendicular to the curve;
+        // (B(t) - pt) . B'(t) = 0
+        let t = best.t;
+        for (let i = 0; i < 16; ++i) {
+            const v = diff(pt, getPointOnCurve(t, p1, p2));
+            const d1 = getDerivativeOnCurve(t, p1, p2);
+            const d2 = getSecondDerivativeOnCurve(t, p1, p2);
+            const f = v.x * d1.x + v.y * d1.y;
+            const df = d1.x * d1.x + d1.y * d1.y + v.x * d2.x + v.y * d2.y;
+            if (df === 0) {
+                break;
+            }
+            const next = clamp(t - f / df, 0, 1);
+            if (Math.abs(next - t) < 1e-12) {
+                break;
+            }
+            t = next;
+        }
+        const refined = project(t);
+        return (refined.distance <= best.distance) ? refined : best;
+    }
+}
+
+/**
+ * Get the derivative at t, or if it vanishes there (such as when a control point coincides
+ * with an end point), the derivative just beside t towards the inside of the curve
+ */
+function getNonzeroDerivative(t: number, p1: DrawPoint, p2: DrawPoint): { t: number, derivative: Point } {
+    const derivative = getDerivativeOnCurve(t, p1, p2);
+    if (norm(derivative) > 1e-12) {
+        return {t, derivative};
+    }
+    const nudgedT = (t < 1) ? t + 1e-6 : t - 1e-6;
+    return {t: nudgedT, derivative: getDerivativeOnCurve(nudgedT, p1, p2)};
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the direction of travel along the [p1, p2] curve at t
+ * @param t
+ * @param p1
+ * @param p2
+ * @returns {{x: number, y: number}} Unit vector tangent to the curve
+ */
+export function getTangentAt(t: number, p1: DrawPoint, p2: DrawPoint): Point {
+    const {derivative} = getNonzeroDerivative(t, p1, p2);
+    if (norm(derivative) === 0) {
+        // curve is just a point
+        return point(0, 0);
+    }
+    return getUnitVector(derivative);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the counterclockwise normal of the [p1, p2] curve at t
+ * @param t
+ * @param p1
+ * @param p2
+ * @returns {{x: number, y: number}} Unit vector perpendicular to the curve
+ */
+export function getNormalAt(t: number, p1: DrawPoint, p2: DrawPoint): Point {
+    const tangent = getTangentAt(t, p1, p2);
+    if (norm(tangent) === 0) {
+        return tangent;
+    }
+    return getPerpendicularVector(tangent);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the signed curvature (1 / radius of the osculating circle) of the [p1, p2] curve at t
+ * @param t
+ * @param p1
+ * @param p2
+ * @returns {number} Positive when the curve turns counterclockwise, negative when it turns
+ * clockwise, and 0 when it is straight
+ */
+export function getCurvatureAt(t: number, p1: DrawPoint, p2: DrawPoint): number {
+    const nonzero = getNonzeroDerivative(t, p1, p2);
+    const d1 = nonzero.derivative;
+    const speed = norm(d1);
+    if (speed === 0) {
+        return 0;
+    }
+    const d2 = getSecondDerivativeOnCurve(nonzero.t, p1, p2);
+    return (d1.x * d2.y - d1.y * d2.x) / (speed * speed * speed);
+}
@@ -1,7 +1,9 @@
 "use strict";
 
-import {breakPoint, DrawPoint, extractPoint} from "./point";
-import {simpleQuadratic} from "./curve";
+import {breakPoint, point, DrawPoint, Point, extractPoint} from "./point";
+import {getArcCurves, getPointOnCurve, simpleQuadratic} from "./curve";
+import {getSegments} from "./segment";
+import {splitTrailingOptions} from "./util";
 
 // noinspection JSUnusedGlobalSymbols
 /**
@@ -130,6 +132,167 @@ export function drawCircle(center: DrawPoint, radius: number): DrawPoint[] {
     return [top, right, bot, left, top];
 }
 
+/**
+ * Get a closed shape going around an arc, starting with its first point
+ */
+function closeArc(center: Point, rx: number, ry: number, startAngle: number, sweepAngle: number,
+                  rotation: number): DrawPoint[] {
+    const curves = getArcCurves(center, rx, ry, startAngle, sweepAngle, rotation);
+    const start = extractPoint(curves[curves.length - 1]);
+    // land exactly back on the start
+    curves[curves.length - 1].x = start.x;
+    curves[curves.length - 1].y = start.y;
+    return [start, ...curves];
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for an ellipse. Like drawCircle, it starts at the top (of the ellipse's
+ * own axes) and goes clockwise, so an ellipse with equal radii is the same as a circle.
+ * @param center Point at the center of the ellipse
+ * @param rx Radius along the ellipse's own x axis
+ * @param ry Radius along the ellipse's own y axis
+ * @param rotation Radians counterclockwise the ellipse is rotated about its center
+ * @returns {Object[]} List of draw points for this ellipse
+ */
+export function drawEllipse(center: Point, rx: number, ry: number, rotation: number = 0): DrawPoint[] {
+    return closeArc(center, rx, ry, Math.PI / 2, -2 * Math.PI, rotation);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for an axis aligned rectangle with rounded corners, starting at the left
+ * end of the top edge and going clockwise
+ * @param corner Corner of the rectangle with the smallest x and y
+ * @param width
+ * @param height
+ * @param radius Radius of the corners; limited to half the width or height, whichever is
+ * smaller. A radius of 0 gives sharp corners.
+ * @returns {Object[]} List of draw points for this rectangle
+ */
+export function drawRoundedRect(corner: Point, width: number, height: number, radius: number = 0): DrawPoint[] {
+    const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+    const left = corner.x, right = corner.x + width;
+    const bottom = corner.y, top = corner.y + height;
+    const points: DrawPoint[] = [point(left + r, top)];
+    // each corner as [center of its arc, angle pointing out of it]
+    const corners: [Point, number][] = [
+        [point(right - r, top - r), Math.PI / 2],
+        [point(right - r, bottom + r), 0],
+        [point(left + r, bottom + r), -Math.PI / 2],
+        [point(left + r, top - r), Math.PI],
+    ];
+    corners.forEach(([center, angle]) => {
+        // the straight edge leading into the corner
+        points.push(point(center.x + r * Math.cos(angle), center.y + r * Math.sin(angle)));
+        if (r > 0) {
+            points.push(...getArcCurves(center, r, r, angle, -Math.PI / 2));
+        }
+    });
+    // start and end on exactly the same point
+    const last = points[points.length - 1];
+    last.x = points[0].x;
+    last.y = points[0].y;
+    return points.filter((p, i) => i === 0 || p.cp1 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for a regular polygon, starting at the top corner and going clockwise
+ * @param center Point at the center of the polygon
+ * @param radius Distance from the center to each corner
+ * @param numSides Whole number of sides, at least 3
+ * @param rotation Radians counterclockwise the polygon is rotated about its center
+ * @returns {Object[]} List of draw points for this polygon
+ * @throws RangeError if numSides isn't a whole number of at least 3
+ */
+export function drawPolygon(center: Point, radius: number, numSides: number, rotation: number = 0): DrawPoint[] {
+    if (numSides % 1 !== 0 || numSides < 3) {
+        throw new RangeError(`a polygon needs a whole number of at least 3 sides, not ${numSides}`);
+    }
+    const points = [];
+    for (let i = 0; i <= numSides; ++i) {
+        const angle = Math.PI / 2 + rotation - 2 * Math.PI * (i % numSides) / numSides;
+        points.push(point(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+    }
+    return points;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for a star, starting at the top point and going clockwise
+ * @param center Point at the center of the star
+ * @param outerRadius Distance from the center to the tips
+ * @param innerRadius Distance from the center to the corners between the tips
+ * @param numPoints Whole number of tips, at least 2
+ * @param rotation Radians counterclockwise the star is rotated about its center
+ * @returns {Object[]} List of draw points for this star
+ * @throws RangeError if numPoints isn't a whole number of at least 2
+ */
+export function drawStar(center: Point, outerRadius: number, innerRadius: number, numPoints: number,
+                         rotation: number = 0): DrawPoint[] {
+    if (numPoints % 1 !== 0 || numPoints < 2) {
+        throw new RangeError(`a star needs a whole number of at least 2 tips, not ${numPoints}`);
+    }
+    const points = [];
+    for (let i = 0; i <= 2 * numPoints; ++i) {
+        const angle = Math.PI / 2 + rotation - Math.PI * (i % (2 * numPoints)) / numPoints;
+        const radius = (i % 2 === 0) ? outerRadius : innerRadius;
+        points.push(point(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+    }
+    return points;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for part of an ellipse between two angles
+ * @param center Point at the center of the ellipse
+ * @param rx Radius along the ellipse's own x axis
+ * @param ry Radius along the ellipse's own y axis
+ * @param startAngle Radians counterclockwise from the ellipse's x axis where the arc starts
+ * @param endAngle Radians counterclockwise from the ellipse's x axis where the arc ends; the arc
+ * goes counterclockwise if it is larger than startAngle and clockwise if smaller
+ * @param rotation Radians counterclockwise the ellipse is rotated about its center
+ * @returns {Object[]} List of draw points for this arc, starting with the point at startAngle
+ */
+export function drawEllipticalArc(center: Point, rx: number, ry: number, startAngle: number, endAngle: number,
+                                  rotation: number = 0): DrawPoint[] {
+    const cosRot = Math.cos(rotation), sinRot = Math.sin(rotation);
+    const u = rx * Math.cos(startAngle), v = ry * Math.sin(startAngle);
+    const start = point(center.x + u * cosRot - v * sinRot, center.y + u * sinRot + v * cosRot);
+    if (startAngle === endAngle) {
+        return [start];
+    }
+    return [start, ...getArcCurves(center, rx, ry, startAngle, endAngle - startAngle, rotation)];
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for part of a circle between two angles
+ * @param center Point at the center of the circle
+ * @param radius
+ * @param startAngle Radians counterclockwise from the x axis where the arc starts
+ * @param endAngle Radians counterclockwise from the x axis where the arc ends; the arc goes
+ * counterclockwise if it is larger than startAngle and clockwise if smaller
+ * @returns {Object[]} List of draw points for this arc, starting with the point at startAngle
+ */
+export function drawArc(center: Point, radius: number, startAngle: number, endAngle: number): DrawPoint[] {
+    return drawEllipticalArc(center, radius, radius, startAngle, endAngle);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the drawpoints for a pie slice, going from the center out to the arc and back
+ * @param center Point at the center of the circle
+ * @param radius
+ * @param startAngle Radians counterclockwise from the x axis where the slice starts
+ * @param endAngle Radians counterclockwise from the x axis where the slice ends
+ * @returns {Object[]} List of draw points for this slice, starting and ending at the center
+ */
+export function drawPie(center: Point, radius: number, startAngle: number, endAngle: number): DrawPoint[] {
+    return [extractPoint(center), ...drawArc(center, radius, startAngle, endAngle), extractPoint(center)];
+}
+
 // noinspection JSUnusedGlobalSymbols
 export function drawSpecificCurl(left, center, right) {
     const p1 = extractPoint(left);
@@ -167,6 +330,131 @@ export function tracePoint(pt, options) {
     return pt;
 }
 
+export interface DebugOverlayOptions {
+    // radius of the circles marking points on the path
+    anchorRadius?: number;
+    // half the width of the squares marking control points
+    controlRadius?: number;
+    anchorColor?: string;
+    controlColor?: string;
+    // color of the lines from points on the path to their control points
+    handleColor?: string;
+    // color of the dashed lines through the start, control points, and end of each curve
+    polygonColor?: string;
+    textColor?: string;
+    font?: string;
+    lineWidth?: number;
+    showHandles?: boolean;
+    showPolygon?: boolean;
+    // label the middle of every curve with the index of the draw point it ends at
+    showIndices?: boolean;
+    // text to show next to points, by index in the list of draw points
+    labels?: { [index: number]: string };
+}
+
+const defaultDebugOverlayOptions: DebugOverlayOptions = {
+    anchorRadius: 3,
+    controlRadius: 2,
+    anchorColor: "#d33",
+    controlColor: "#36c",
+    handleColor: "#36c",
+    polygonColor: "#aaa",
+    textColor: "#000",
+    font: "10px sans-serif",
+    lineWidth: 1,
+    showHandles: true,
+    showPolygon: true,
+    showIndices: true,
+};
+
+function strokeLines(ctx: any, lines: Point[][], color: string, dash: number[]) {
+    if (lines.length === 0) {
+        return;
+    }
+    ctx.strokeStyle = color;
+    // not every context (such as tracked ones) supports dashes
+    if (ctx.setLineDash) {
+        ctx.setLineDash(dash);
+    }
+    ctx.beginPath();
+    lines.forEach((line) => {
+        ctx.moveTo(line[0].x, line[0].y);
+        line.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    });
+    ctx.stroke();
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Draw the structure of a path on top of it for debugging: points on the path, control points,
+ * handles from points on the path to their control points, the control polygon of every curve,
+ * the index of every curve, and labels for points. Draws onto a plain CanvasRenderingContext2D
+ * and leaves its state as it was.
+ * @param ctx Context2D to render to
+ * @param {Object[]} points Ordered list of draw points as would be given to drawPoints,
+ * optionally followed by DebugOverlayOptions
+ */
+export function drawDebugOverlay(ctx: any, ...points) {
+    let options;
+    [points, options] = splitTrailingOptions(points);
+    const {
+        anchorRadius, controlRadius, anchorColor, controlColor, handleColor, polygonColor, textColor,
+        font, lineWidth, showHandles, showPolygon, showIndices, labels = {},
+    } = Object.assign({}, defaultDebugOverlayOptions, options) as DebugOverlayOptions;
+
+    const segments = getSegments(...points);
 
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+    if (showPolygon) {
+        strokeLines(ctx, segments.filter(({p2}) => p2.cp1 || p2.cp2)
+            .map(({p1, p2}) => [p1, p2.cp1, p2.cp2, p2].filter(Boolean)), polygonColor, [4, 2]);
+    }
+    if (showHandles) {
+        const handles = [];
+        segments.forEach(({p1, p2}) => {
+            if (p2.cp1 && p2.cp2) {
+                handles.push([p1, p2.cp1], [p2.cp2, p2]);
+            } else if (p2.cp1 || p2.cp2) {
+                const cp = p2.cp1 || p2.cp2;
+                handles.push([p1, cp], [cp, p2]);
+            }
+        });
+        strokeLines(ctx, handles, handleColor, []);
+    }
 
+    ctx.fillStyle = controlColor;
+    segments.forEach(({p2}) => {
+        [p2.cp1, p2.cp2].filter(Boolean).forEach((cp) => {
+            ctx.fillRect(cp.x - controlRadius, cp.y - controlRadius, 2 * controlRadius, 2 * controlRadius);
+        });
+    });
+    ctx.fillStyle = anchorColor;
+    points.forEach((p) => {
+        if (p && p.hasOwnProperty("x")) {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, anchorRadius, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    });
 
+    ctx.fillStyle = textColor;
+    ctx.font = font;
+    if (showIndices) {
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        segments.forEach(({p1, p2, index}) => {
+            const mid = getPointOnCurve(0.5, p1, p2);
+            ctx.fillText(String(index), mid.x, mid.y);
+        });
+    }
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    Object.keys(labels).forEach((index) => {
+        const p = points[index];
+        if (p && p.hasOwnProperty("x")) {
+            ctx.fillText(labels[index], p.x + anchorRadius, p.y - anchorRadius);
+        }
+    });
+    ctx.restore();
+}
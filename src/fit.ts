@@ -0,0 +1,220 @@
+import {add, diff, norm, point, scale, extractPoint, getUnitVector, endPoint, DrawPoint, Point} from "./point";
+import {getDerivativeOnCurve, getPointOnCurve, getSecondDerivativeOnCurve} from "./curve";
+
+export interface FitOptions {
+    // maximum distance any sample is allowed to be from the fitted curves
+    tolerance?: number;
+    // turns between consecutive samples sharper than this many radians are kept as corners
+    cornerAngle?: number;
+}
+
+const defaultFitOptions = {tolerance: 1, cornerAngle: Math.PI / 2};
+
+// how many times to try improving the parameters of a close fit before splitting it
+const maxReparameterizations = 4;
+
+function dot(v1: Point, v2: Point): number {
+    return v1.x * v2.x + v1.y * v2.y;
+}
+
+function isCorner(before: Point, at: Point, after: Point, cornerAngle: number): boolean {
+    const inDir = diff(before, at);
+    const outDir = diff(at, after);
+    const cos = dot(inDir, outDir) / (norm(inDir) * norm(outDir));
+    return Math.acos(Math.max(-1, Math.min(1, cos))) > cornerAngle;
+}
+
+/**
+ * Make the cubic curve from start to end leaving and arriving along the given unit tangents
+ */
+function makeCubic(start: Point, end: Point, startTangent: Point, endTangent: Point,
+                   startHandle: number, endHandle: number): DrawPoint {
+    const p: DrawPoint = point(end.x, end.y);
+    p.cp1 = add(start, startTangent, startHandle);
+    p.cp2 = add(end, endTangent, endHandle);
+    return p;
+}
+
+/**
+ * Assign each sample a parameter by how far along the polyline through them it is
+ */
+function chordLengthParameterize(samples: Point[]): number[] {
+    const u = [0];
+    for (let i = 1; i < samples.length; ++i) {
+        u.push(u[i - 1] + norm(diff(samples[i], samples[i - 1])));
+    }
+    const total = u[u.length - 1];
+    return u.map(length => length / total);
+}
+
+/**
+ * Find the cubic curve with the given end tangents that best fits the samples at the given
+ * parameters in the least squares sense
+ */
+function generateCubic(samples: Point[], u: number[], startTangent: Point, endTangent: Point): DrawPoint {
+    const start = samples[0];
+    const end = samples[samples.length - 1];
+    let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+    samples.forEach((sample, i) => {
+        const t = u[i], mt = 1 - t;
+        const b0 = mt * mt * mt, b1 = 3 * t * mt * mt, b2 = 3 * t * t * mt, b3 = t * t * t;
+        const a0 = scale(startTangent, b1);
+        const a1 = scale(endTangent, b2);
+        c00 += dot(a0, a0);
+        c01 += dot(a0, a1);
+        c11 += dot(a1, a1);
+        const rest = diff(add(scale(start, b0 + b1), scale(end, b2 + b3)), sample);
+        x0 += dot(a0, rest);
+        x1 += dot(a1, rest);
+    });
+
+    const det = c00 * c11 - c01 * c01;
+    const startHandle = (det === 0) ? 0 : (x0 * c11 - x1 * c01) / det;
+    const endHandle = (det === 0) ? 0 : (c00 * x1 - c01 * x0) / det;
+    const chord = norm(diff(start, end));
+    // the least squares solution is unreliable when handles come out backwards or vanishing
+    const epsilon = 1e-6 * chord;
+    if (startHandle < epsilon || endHandle < epsilon) {
+        return makeCubic(start, end, startTangent, endTangent, chord / 3, chord / 3);
+    }
+    return makeCubic(start, end, startTangent, endTangent, startHandle, endHandle);
+}
+
+/**
+ * Improve the parameter of each sample with a Newton step towards the closest point on the curve
+ */
+function reparameterize(samples: Point[], u: number[], start: DrawPoint, end: DrawPoint): number[] {
+    return u.map((t, i) => {
+        const offset = diff(samples[i], getPointOnCurve(t, start, end));
+        const d1 = getDerivativeOnCurve(t, start, end);
+        const d2 = getSecondDerivativeOnCurve(t, start, end);
+        const denominator = dot(d1, d1) + dot(offset, d2);
+        return (denominator === 0) ? t : t - dot(offset, d1) / denominator;
+    });
+}
+
+/**
+ * Get the largest distance between a sample and its point on the curve, and which sample it is
+ */
+function getMaxError(samples: Point[], u: number[], start: DrawPoint, end: DrawPoint) {
+    let error = 0;
+    let index = Math.floor(samples.length / 2);
+    for (let i = 1; i < samples.length - 1; ++i) {
+        const distance = norm(diff(getPointOnCurve(u[i], start, end), samples[i]));
+        if (distance > error) {
+            error = distance;
+            index = i;
+        }
+    }
+    return {error, index};
+}
+
+/**
+ * Fit cubic curves to a run of samples without corners, splitting it where the fit is worst
+ * until every piece is within tolerance. Pieces are fitted leaving the split along the same
+ * tangent they arrived at, so the curves join smoothly.
+ */
+function fitCubics(samples: Point[], startTangent: Point, endTangent: Point, tolerance: number): DrawPoint[] {
+    const start = samples[0];
+    const end = samples[samples.length - 1];
+    if (samples.length === 2) {
+        const chord = norm(diff(start, end));
+        return [makeCubic(start, end, startTangent, endTangent, chord / 3, chord / 3)];
+    }
+
+    let u = chordLengthParameterize(samples);
+    let curve = generateCubic(samples, u, startTangent, endTangent);
+    let {error, index} = getMaxError(samples, u, start, curve);
+    // a fit that is close can often be brought within tolerance by adjusting parameters
+    for (let i = 0; error > tolerance && error < 4 * tolerance && i < maxReparameterizations; ++i) {
+        u = reparameterize(samples, u, start, curve);
+        curve = generateCubic(samples, u, startTangent, endTangent);
+        ({error, index} = getMaxError(samples, u, start, curve));
+    }
+    if (error <= tolerance) {
+        return [curve];
+    }
+
+    let centerDirection = diff(samples[index + 1], samples[index - 1]);
+    if (norm(centerDirection) === 0) {
+        // the samples double back on themselves here
+        centerDirection = diff(samples[index], samples[index - 1]);
+    }
+    const centerTangent = getUnitVector(centerDirection);
+    return fitCubics(samples.slice(0, index + 1), startTangent, centerTangent, tolerance).concat(
+        fitCubics(samples.slice(index), scale(centerTangent, -1), endTangent, tolerance));
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Fit cubic curves through sampled points (such as freehand pointer input) using Schneider's
+ * algorithm. Samples are split at sharp corners; everywhere else the curves join with
+ * continuous tangents, so each curve's cp1 lies along continueCurve of the curve before it.
+ * @param {Object[]} samples Points in the order they were sampled
+ * @param {FitOptions} options How closely to fit and what counts as a corner
+ * @returns {Object[]} Draw points starting with the first sample followed by the end point of
+ * each cubic curve, or an empty list if there are no samples
+ */
+export function fitCurve(samples: Point[], options: FitOptions = {}): DrawPoint[] {
+    const {tolerance, cornerAngle} = Object.assign({}, defaultFitOptions, options);
+    // repeated samples carry no direction
+    const pts = samples.filter((p, i) => i === 0 || norm(diff(p, samples[i - 1])) > 0);
+    if (pts.length === 0) {
+        return [];
+    }
+    const fitted: DrawPoint[] = [point(pts[0].x, pts[0].y)];
+    let runStart = 0;
+    for (let i = 1; i < pts.length; ++i) {
+        if (i === pts.length - 1 || isCorner(pts[i - 1], pts[i], pts[i + 1], cornerAngle)) {
+            const run = pts.slice(runStart, i + 1);
+            const startTangent = getUnitVector(diff(run[0], run[1]));
+            const endTangent = getUnitVector(diff(run[run.length - 1], run[run.length - 2]));
+            fitted.push(...fitCubics(run, startTangent, endTangent, tolerance));
+            runStart = i;
+        }
+    }
+    return fitted;
+}
+
+export interface SplineOptions {
+    // 0 gives a Catmull-Rom spline; towards 1 the curves tighten into straight lines
+    tension?: number;
+    // whether the spline loops back around to the first point
+    closed?: boolean;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get cubic curves passing exactly through every given point, as a cardinal spline.
+ * The tangent at each point is parallel to the line between its neighbours, so curves join
+ * smoothly. The ends of open splines use the point itself in place of the missing neighbour.
+ * @param {Object[]} points Points the curves go through, in order
+ * @param {SplineOptions} options How tight the curves are and whether they form a loop
+ * @returns {Object[]} Draw points starting with the first point followed by the end point of
+ * each cubic curve; closed splines end back at the first point followed by endPoint
+ */
+export function splineThrough(points: Point[], options: SplineOptions = {}): DrawPoint[] {
+    const {tension = 0, closed = false} = options;
+    const n = points.length;
+    if (n < 2) {
+        return points.map(extractPoint);
+    }
+    const neighbour = (i: number) => closed ? points[(i + n) % n] : points[Math.max(0, Math.min(n - 1, i))];
+    // a third of each point's tangent, which is how far its control points sit from it
+    const handles = points.map((p, i) => scale(diff(neighbour(i - 1), neighbour(i + 1)), (1 - tension) / 6));
+
+    const spline = [];
+    spline.push(extractPoint(points[0]));
+    const numCurves = closed ? n : n - 1;
+    for (let i = 0; i < numCurves; ++i) {
+        const next = (i + 1) % n;
+        const p: DrawPoint = extractPoint(points[next]);
+        p.cp1 = add(points[i], handles[i]);
+        p.cp2 = add(points[next], handles[next], -1);
+        spline.push(p);
+    }
+    if (closed) {
+        spline.push(endPoint);
+    }
+    return spline;
+}
@@ -3,3 +3,16 @@ export * from './numeric';
 export * from './point';
 export * from './curve';
 export * from './draw';
+export * from './svg';
+export * from './segment';
+export * from './path';
+export * from './offset';
+export * from './matrix';
+export * from './fit';
+export * from './morph';
+export * from './boolean';
+export * from './animate';
+export * from './raster';
+export * from './rig';
+export * from './serialize';
+export * from './smooth';
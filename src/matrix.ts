@@ -0,0 +1,191 @@
+import {origin, DrawPoint, Point} from "./point";
+import {clone} from "./util";
+
+/**
+ * 2D affine transform in the same form as a canvas context's setTransform(a, b, c, d, e, f):
+ * x' = a * x + c * y + e
+ * y' = b * x + d * y + f
+ */
+export interface Matrix {
+    a: number;
+    b: number;
+    c: number;
+    d: number;
+    e: number;
+    f: number;
+}
+
+export function matrix(a: number, b: number, c: number, d: number, e: number, f: number): Matrix {
+    return {a, b, c, d, e, f};
+}
+
+/**
+ * Transform that leaves points where they are
+ * @readonly
+ * @type {Matrix}
+ */
+export const identityMatrix = Object.freeze(matrix(1, 0, 0, 1, 0, 0));
+
+/**
+ * Get the transform equivalent to applying m1 and then m2
+ * @param m1 Transform applied first
+ * @param m2 Transform applied second
+ * @returns {Matrix}
+ */
+function multiply(m1: Matrix, m2: Matrix): Matrix {
+    return matrix(
+        m2.a * m1.a + m2.c * m1.b,
+        m2.b * m1.a + m2.d * m1.b,
+        m2.a * m1.c + m2.c * m1.d,
+        m2.b * m1.c + m2.d * m1.d,
+        m2.a * m1.e + m2.c * m1.f + m2.e,
+        m2.b * m1.e + m2.d * m1.f + m2.f);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Combine transforms into a single transform that applies them one after another
+ * @param matrices Transforms in the order they are to be applied
+ * @returns {Matrix}
+ */
+export function composeMatrices(...matrices: Matrix[]): Matrix {
+    return matrices.reduce(multiply, identityMatrix);
+}
+
+/**
+ * Make a transform about a pivot by moving the pivot to the origin, transforming, then moving back
+ */
+function aboutPivot(m: Matrix, pivot: Point): Matrix {
+    if (pivot.x === 0 && pivot.y === 0) {
+        return m;
+    }
+    return composeMatrices(translateMatrix(-pivot.x, -pivot.y), m, translateMatrix(pivot.x, pivot.y));
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a transform that shifts points
+ * @param dx
+ * @param dy
+ * @returns {Matrix}
+ */
+export function translateMatrix(dx: number, dy: number): Matrix {
+    return matrix(1, 0, 0, 1, dx, dy);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a transform that grows or shrinks points relative to a pivot
+ * @param sx Multiplier for distances along x
+ * @param sy Multiplier for distances along y
+ * @param pivot The point other points are scaled relative to
+ * @returns {Matrix}
+ */
+export function scaleMatrix(sx: number, sy: number = sx, pivot: Point = origin): Matrix {
+    return aboutPivot(matrix(sx, 0, 0, sy, 0, 0), pivot);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a transform that rotates points about a pivot
+ * @param rad Radians counterclockwise to rotate points
+ * @param pivot The point to rotate about
+ * @returns {Matrix}
+ */
+export function rotateMatrix(rad: number, pivot: Point = origin): Matrix {
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    return aboutPivot(matrix(cos, sin, -sin, cos, 0, 0), pivot);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a transform that skews (shears) points relative to a pivot
+ * @param radX Radians to slant the y axis towards x
+ * @param radY Radians to slant the x axis towards y
+ * @param pivot The point that stays in place
+ * @returns {Matrix}
+ */
+export function skewMatrix(radX: number, radY: number = 0, pivot: Point = origin): Matrix {
+    return aboutPivot(matrix(1, Math.tan(radY), Math.tan(radX), 1, 0, 0), pivot);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the transform that undoes a transform
+ * @param m
+ * @returns {Matrix|null} Inverse transform, or null if m collapses points onto a line or point
+ */
+export function invertMatrix(m: Matrix): Matrix {
+    const det = m.a * m.d - m.b * m.c;
+    if (det === 0) {
+        return null;
+    }
+    return matrix(
+        m.d / det,
+        -m.b / det,
+        -m.c / det,
+        m.a / det,
+        (m.c * m.f - m.d * m.e) / det,
+        (m.b * m.e - m.a * m.f) / det);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get where a transform moves a point to
+ * @param m
+ * @param pt
+ * @returns {{x: number, y: number}}
+ */
+export function transformPoint(m: Matrix, pt: Point): Point {
+    return {
+        x: m.a * pt.x + m.c * pt.y + m.e,
+        y: m.b * pt.x + m.d * pt.y + m.f,
+    };
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Transform a sequence of draw points and their control points and return the transformed
+ * points. The original points are left untouched. Missing points and points without
+ * coordinates (such as breakPoint and endPoint) are passed through as is.
+ * @param m
+ * @param points
+ * @returns {Array}
+ */
+export function transformPoints(m: Matrix, ...points: DrawPoint[]): DrawPoint[] {
+    return points.map((pt) => {
+        if (!pt || pt.hasOwnProperty("x") === false) {
+            return pt;
+        }
+        const transformed = clone(pt);
+        const {x, y} = transformPoint(m, pt);
+        transformed.x = x;
+        transformed.y = y;
+        if (pt.cp1) {
+            transformed.cp1 = transformPoint(m, pt.cp1);
+        }
+        if (pt.cp2) {
+            transformed.cp2 = transformPoint(m, pt.cp2);
+        }
+        return transformed;
+    });
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the current transform of a canvas context
+ * @param {Context2DTracked} ctx Context2D or Context2DTracked
+ * @returns {Matrix} Transform from user coordinates to canvas coordinates
+ */
+export function getContextTransform(ctx: any): Matrix {
+    let m;
+    if (ctx && ctx.tf && ctx.tf.length) {
+        // Context2DTracked keeps its own stack of transforms
+        m = ctx.tf[ctx.tf.length - 1];
+    } else if (ctx && typeof ctx.getTransform === "function") {
+        m = ctx.getTransform();
+    } else {
+        return identityMatrix;
+    }
+    return matrix(m.a, m.b, m.c, m.d, m.e, m.f);
+}
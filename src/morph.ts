@@ -0,0 +1,163 @@
+import {diff, norm, extractPoint, DrawPoint, Point} from "./point";
+import {getCubicControlPoints, getCurveLength, getPointOnCurve, getPointOnLine, splitCurve} from "./curve";
+import {getSubpaths, joinSubpaths, reverseSubpath, Subpath} from "./path";
+import {clone} from "./util";
+
+function isSamePoint(p1: Point, p2: Point): boolean {
+    return norm(diff(p1, p2)) < 1e-9;
+}
+
+/**
+ * Get the points of a subpath with the line back to the start of closed subpaths drawn explicitly
+ */
+function getExplicitPoints(subpath: Subpath): DrawPoint[] {
+    const points = subpath.points.slice();
+    if (subpath.closed && !isSamePoint(points[0], points[points.length - 1])) {
+        points.push(extractPoint(points[0]));
+    }
+    return points;
+}
+
+/**
+ * Split the longest segments in half until there are the given number of segments.
+ * Points that don't go anywhere are repeated instead.
+ */
+function splitToSegmentCount(points: DrawPoint[], count: number): DrawPoint[] {
+    points = points.slice();
+    if (points.length === 1) {
+        while (points.length <= count) {
+            points.push(extractPoint(points[0]));
+        }
+        return points;
+    }
+    const lengths = [];
+    for (let i = 1; i < points.length; ++i) {
+        lengths.push(getCurveLength(points[i - 1], points[i]));
+    }
+    while (points.length <= count) {
+        let longest = 0;
+        for (let i = 1; i < lengths.length; ++i) {
+            if (lengths[i] > lengths[longest]) {
+                longest = i;
+            }
+        }
+        // splitting modifies the end point
+        const sp = splitCurve(0.5, points[longest], clone(points[longest + 1]));
+        points.splice(longest + 1, 1, sp.left.p2, sp.right.p2);
+        lengths.splice(longest, 1, lengths[longest] / 2, lengths[longest] / 2);
+    }
+    return points;
+}
+
+/**
+ * Get twice the signed area enclosed by a closed subpath, approximating curves with a few lines.
+ * Positive when the points go counterclockwise.
+ */
+function getSignedArea(points: DrawPoint[]): number {
+    const outline: Point[] = [points[0]];
+    for (let i = 1; i < points.length; ++i) {
+        [0.25, 0.5, 0.75, 1].forEach(t => outline.push(getPointOnCurve(t, points[i - 1], points[i])));
+    }
+    let area = 0;
+    outline.forEach((p, i) => {
+        const next = outline[(i + 1) % outline.length];
+        area += p.x * next.y - next.x * p.y;
+    });
+    return area;
+}
+
+/**
+ * Get the points of a closed subpath drawn starting from a different point along it
+ * @param points Points of the closed subpath where the last point is on top of the first
+ * @param start Index of the point to start from
+ */
+function rotateClosedPoints(points: DrawPoint[], start: number): DrawPoint[] {
+    if (start === 0) {
+        return points;
+    }
+    // each point holds the control points of the curve leading to it, so the curves stay intact
+    const ends = points.slice(1);
+    return [extractPoint(points[start])].concat(ends.slice(start), ends.slice(0, start));
+}
+
+function isLine(pt: DrawPoint): boolean {
+    return !pt.cp1 && !pt.cp2;
+}
+
+function getMatchingDistance(pointsA: DrawPoint[], pointsB: DrawPoint[]): number {
+    return pointsA.reduce((total, p, i) => {
+        const d = diff(p, pointsB[i]);
+        return total + d.x * d.x + d.y * d.y;
+    }, 0);
+}
+
+/**
+ * Get the points of subpath B rearranged to line up with those of subpath A; both must have
+ * the same number of points
+ */
+function alignPoints(pointsA: DrawPoint[], pointsB: DrawPoint[], closed: boolean): DrawPoint[] {
+    if (closed === false) {
+        const reversed = reverseSubpath({points: pointsB, closed}).points;
+        return (getMatchingDistance(pointsA, reversed) < getMatchingDistance(pointsA, pointsB)) ?
+            reversed : pointsB;
+    }
+    if (getSignedArea(pointsA) * getSignedArea(pointsB) < 0) {
+        pointsB = reverseSubpath({points: pointsB, closed}).points;
+    }
+    let best = pointsB;
+    let bestDistance = getMatchingDistance(pointsA, pointsB);
+    for (let start = 1; start < pointsB.length - 1; ++start) {
+        const rotated = rotateClosedPoints(pointsB, start);
+        const distance = getMatchingDistance(pointsA, rotated);
+        if (distance < bestDistance) {
+            best = rotated;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function morphSubpath(t: number, a: Subpath, b: Subpath): Subpath {
+    let pointsA = getExplicitPoints(a);
+    let pointsB = getExplicitPoints(b);
+    const numSegments = Math.max(pointsA.length, pointsB.length) - 1;
+    pointsA = splitToSegmentCount(pointsA, numSegments);
+    pointsB = alignPoints(pointsA, splitToSegmentCount(pointsB, numSegments), a.closed && b.closed);
+
+    const points = pointsA.map((pA, i) => {
+        const pB = pointsB[i];
+        const p = getPointOnLine(t, pA, pB);
+        if (i > 0 && (isLine(pA) === false || isLine(pB) === false)) {
+            const [cp1A, cp2A] = getCubicControlPoints(pointsA[i - 1], pA);
+            const [cp1B, cp2B] = getCubicControlPoints(pointsB[i - 1], pB);
+            p.cp1 = getPointOnLine(t, cp1A, cp1B);
+            p.cp2 = getPointOnLine(t, cp2A, cp2B);
+        }
+        return p;
+    });
+    return {points, closed: (t < 0.5) ? a.closed : b.closed};
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Blend between two paths with any number of points, the way transformCurve blends a single
+ * curve. Segments of whichever subpath has fewer are split until both have the same number,
+ * then closed subpaths are lined up to wind the same way and start from corresponding points,
+ * and open subpaths are lined up to run the same way. Subpaths are matched in order; a subpath
+ * with no counterpart grows from (or shrinks to) the start of the other.
+ * @param t Amount to blend, [0,1] where 0 looks like pathA and 1 looks like pathB
+ * @param {Object[]} pathA Ordered list of draw points, each with x and y
+ * @param {Object[]} pathB Ordered list of draw points, each with x and y
+ * @returns {Object[]} Draw points of the blended path
+ */
+export function morphPath(t: number, pathA: DrawPoint[], pathB: DrawPoint[]): DrawPoint[] {
+    const subpathsA = getSubpaths(...pathA);
+    const subpathsB = getSubpaths(...pathB);
+    const morphed = [];
+    for (let i = 0; i < Math.max(subpathsA.length, subpathsB.length); ++i) {
+        const a = subpathsA[i] || {points: [extractPoint(subpathsB[i].points[0])], closed: subpathsB[i].closed};
+        const b = subpathsB[i] || {points: [extractPoint(subpathsA[i].points[0])], closed: subpathsA[i].closed};
+        morphed.push(morphSubpath(t, a, b));
+    }
+    return joinSubpaths(...morphed);
+}
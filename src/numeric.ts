@@ -58,3 +58,244 @@ export function clamp(num: number, min: number, max: number): number {
 export function roundToDec(num: number, numDecimals: number): number {
     return parseFloat(num.toFixed(numDecimals));
 }
+
+// 5 point Gauss-Legendre quadrature abscissae and weights over [-1, 1]
+const gaussLegendreAbscissae = [0, -0.5384693101056831, 0.5384693101056831,
+    -0.9061798459386640, 0.9061798459386640];
+const gaussLegendreWeights = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665,
+    0.2369268850561891, 0.2369268850561891];
+
+function gaussLegendre(func: (x: number) => number, a: number, b: number): number {
+    const halfWidth = (b - a) / 2;
+    const mid = (a + b) / 2;
+    let sum = 0;
+    for (let i = 0; i < gaussLegendreAbscissae.length; ++i) {
+        sum += gaussLegendreWeights[i] * func(mid + halfWidth * gaussLegendreAbscissae[i]);
+    }
+    return sum * halfWidth;
+}
+
+function adaptiveGaussLegendre(func: (x: number) => number, a: number, b: number, whole: number,
+                               tolerance: number, depth: number): number {
+    const mid = (a + b) / 2;
+    const left = gaussLegendre(func, a, mid);
+    const right = gaussLegendre(func, mid, b);
+    if (depth <= 0 || Math.abs(left + right - whole) <= tolerance) {
+        return left + right;
+    }
+    return adaptiveGaussLegendre(func, a, mid, left, tolerance / 2, depth - 1) +
+        adaptiveGaussLegendre(func, mid, b, right, tolerance / 2, depth - 1);
+}
+
+/**
+ * Numerically integrate a function over [a, b], subdividing the interval wherever
+ * the function is poorly approximated
+ * @param func Function of a single variable to integrate
+ * @param a Lower bound
+ * @param b Upper bound
+ * @param tolerance Absolute error that is acceptable
+ * @param maxDepth Maximum number of times to subdivide the interval
+ * @returns {number}
+ */
+export function integrate(func: (x: number) => number, a: number, b: number,
+                          tolerance: number = 1e-10, maxDepth: number = 16): number {
+    return adaptiveGaussLegendre(func, a, b, gaussLegendre(func, a, b), tolerance, maxDepth);
+}
+
+// coefficients this much smaller than the largest one are taken to be rounding error
+// of coefficients that should have vanished
+const negligibleCoefficient = 1e-12;
+
+// roots closer together than this (relative to their size) are the same root; double roots
+// can only be found to about the square root of machine precision
+const sameRoot = 1e-7;
+
+const maxNewtonIterations = 16;
+
+function isNegligible(coefficient: number, others: number[]): boolean {
+    return Math.abs(coefficient) <= negligibleCoefficient * Math.max(...others.map(Math.abs));
+}
+
+/**
+ * Evaluate a polynomial and its derivative with Horner's method
+ * @param coefficients Coefficients from the highest power down
+ * @param x
+ */
+function evaluatePolynomial(coefficients: number[], x: number): { value: number, slope: number } {
+    let value = 0;
+    let slope = 0;
+    coefficients.forEach((coefficient) => {
+        slope = slope * x + value;
+        value = value * x + coefficient;
+    });
+    return {value, slope};
+}
+
+/**
+ * Refine a root with Newton's method for as long as that brings the polynomial closer to 0
+ */
+function polishRoot(coefficients: number[], x: number): number {
+    let {value, slope} = evaluatePolynomial(coefficients, x);
+    for (let i = 0; i < maxNewtonIterations && value !== 0 && slope !== 0; ++i) {
+        const next = x - value / slope;
+        const evaluated = evaluatePolynomial(coefficients, next);
+        if (Math.abs(evaluated.value) >= Math.abs(value)) {
+            break;
+        }
+        x = next;
+        ({value, slope} = evaluated);
+    }
+    return x;
+}
+
+/**
+ * Polish, sort, and remove repeats of roots found in closed form
+ */
+function finishRoots(coefficients: number[], roots: number[]): number[] {
+    const sorted = roots.map(x => polishRoot(coefficients, x)).sort((a, b) => a - b);
+    return sorted.filter((x, i) => i === 0 || x - sorted[i - 1] > sameRoot * Math.max(1, Math.abs(x)));
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Solve a * x + b = 0 for x
+ * @param a
+ * @param b
+ * @returns {number[]} The root, or nothing if a vanishes (either no x or every x solves it)
+ */
+export function solveLinear(a: number, b: number): number[] {
+    if (isNegligible(a, [b])) {
+        return [];
+    }
+    return [-b / a];
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Solve a * x^2 + b * x + c = 0 for real x, falling back to solving it as a linear equation
+ * when a vanishes. Uses the form of the quadratic formula that avoids cancellation.
+ * @param a
+ * @param b
+ * @param c
+ * @returns {number[]} Distinct real roots in ascending order
+ */
+export function solveQuadratic(a: number, b: number, c: number): number[] {
+    if (isNegligible(a, [b, c])) {
+        return solveLinear(b, c);
+    }
+    const discriminant = b * b - 4 * a * c;
+    // rounding error can push the discriminant of a double root either way
+    if (Math.abs(discriminant) <= negligibleCoefficient * Math.max(b * b, Math.abs(4 * a * c))) {
+        return finishRoots([a, b, c], [-b / (2 * a)]);
+    }
+    if (discriminant < 0) {
+        return [];
+    }
+    // b and the square root have the same sign so they never cancel out
+    const q = -(b + ((b < 0) ? -1 : 1) * Math.sqrt(discriminant)) / 2;
+    return finishRoots([a, b, c], [q / a, c / q]);
+}
+
+function cubeRoot(v: number): number {
+    if (v < 0) {
+        return -Math.pow(-v, 1 / 3);
+    } else {
+        return Math.pow(v, 1 / 3);
+    }
+}
+
+/**
+ * Solve a cubic equation of the form x^3 + a * x^2 + b * x + c = 0 for x
+ * Uses Cardano's equation
+ * See https://trans4mind.com/personal_development/mathematics/polynomials/cubicAlgebra.htm
+ * @param a
+ * @param b
+ * @param c
+ * @returns {number[]} Real roots, not yet polished
+ */
+function solveMonicCubic(a: number, b: number, c: number): number[] {
+
+    const a3 = a / 3;
+    // reduce to t^3 + p * t + q = 0 form
+    // always reducible by substituting x = t - a / 3
+    const p = (3 * b - a * a) / 3;
+    const p3 = p / 3;
+    const q = (2 * a * a * a - 9 * a * b + 27 * c) / 27;
+    const q2 = q / 2;
+
+    // further transformation into (u - v)^3 + 3uv(u - v) = u^3 - v^3
+    // with substitutions p = 3uv, -q = u^3 - v^3, t = u - v
+    // v = p/(3u) substituted into
+    // u^3 - v^3 = -q gives
+    // u^3 + q - (p/(3u))^3 = 0 multiply by u^3
+    // u^6 + qu^3 - (p/3)^3 = 0 quadratic in u^3
+    // u^3 = (-q +- sqrt(q^3 + 4(p/3)^3)) / 2 simplified to
+    // u^3 = -q/2 +- sqrt((q/2)^2 + (p/3)^3) get v^3 from u^3 - v^3 = -q
+    // v^3 = q/2  +- sqrt((q/2)^2 + (p/3)^3)
+    // and determine the discriminant:
+    const discriminant = q2 * q2 + p3 * p3 * p3;
+    // rounding error can push the discriminant of a double root either way
+    const discriminantError = 1e-10 * (q2 * q2 + Math.abs(p3 * p3 * p3));
+
+    // all roots real (3 in total, 1 single and 1 double)
+    if (Math.abs(discriminant) <= discriminantError) {
+        // v = -u
+        const u = cubeRoot(-q2);
+        // t = u - v, x = t - a/3 = u - v - a/3 = 2u - a/3
+        const x1 = 2 * u - a3;
+        // conjugate roots produce 1 double root
+        const x2 = -u - a3;
+        return [x1, x2];
+    }
+
+    // 1 real root
+    if (discriminant > 0) {
+        const sqrtDiscriminant = Math.sqrt(discriminant);
+        const u = cubeRoot(-q2 + sqrtDiscriminant);
+        const v = cubeRoot(q2 + sqrtDiscriminant);
+        const x1 = u - v - a3;
+        // ignore other imaginary roots
+        return [x1];
+    }
+
+    // all roots are real and different (unpleasant imaginary discriminant)
+    // first represent in polar form (a + bi) = r(cos(phi) + i*sin(phi))
+    // factoring out i = sqrt(-1)
+    // u^3 = -q/2 + i*sqrt(-discriminant)
+    // v^3 = q/2  + i*sqrt(-discriminant)
+    // for u^3, a = -q/2, b = sqrt(-discriminant)
+    // r^2 = a^2 + b^2 = (-q/2)^2 - discriminant
+    // r^2 = (q/2)^2 - ((q/2)^2 + (p/3)^3) = -(p/3)^3
+    const r = Math.sqrt(-p3 * p3 * p3);
+    // cos(phi) = a/r (triangle with a along Re, b along Im and r hypotenuse), corrected for float rounding
+    const phi = Math.acos(clamp(-q2 / r, -1, 1));
+    // de Moivre's law -> [r(cos(phi) + i*sin(phi)]^n = r^n * (cos(phi/n) + i*sin(phi/n))
+    // values below easy to see if seen as vectors in complex plane
+    // u = r^(1/3) * (cos(phi/3)  + i*sin(phi/3))
+    // v = r^(1/3) * (-cos(phi/3) + i*sin(phi/3))
+    // x = u - v - a/3
+    // imaginary parts cancel out
+    const commonPrefix = 2 * cubeRoot(r);
+    const x1 = commonPrefix * Math.cos(phi / 3) - a3;
+    const x2 = commonPrefix * Math.cos((phi + 2 * Math.PI) / 3) - a3;
+    const x3 = commonPrefix * Math.cos((phi + 4 * Math.PI) / 3) - a3;
+    return [x1, x2, x3];
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Solve a * x^3 + b * x^2 + c * x + d = 0 for real x, falling back to solving it as a quadratic
+ * (or linear) equation when leading coefficients vanish. Roots found in closed form are refined
+ * with Newton's method against the original coefficients.
+ * @param a
+ * @param b
+ * @param c
+ * @param d
+ * @returns {number[]} Distinct real roots in ascending order
+ */
+export function solveCubic(a: number, b: number, c: number, d: number): number[] {
+    if (isNegligible(a, [b, c, d])) {
+        return solveQuadratic(b, c, d);
+    }
+    return finishRoots([a, b, c, d], solveMonicCubic(b / a, c / a, d / a));
+}
@@ -0,0 +1,291 @@
+import {add, diff, norm, point, scale, extractPoint, DrawPoint, Point} from "./point";
+import {
+    applyToCurve, elevateDegree, getArcCurves, getClosestPointOnCurve, getCurvatureAt, getNormalAt,
+    getPointOnCurve, getTangentAt, intersectCurves, splitCurve
+} from "./curve";
+import {getSubpaths, joinSubpaths, reverseSubpath, Subpath} from "./path";
+import {clone} from "./util";
+
+export type LineJoin = "miter" | "round" | "bevel";
+export type LineCap = "butt" | "round" | "square";
+
+export interface OffsetOptions {
+    // how corners between segments are filled in on the outside of a turn
+    join?: LineJoin;
+    // ratio of miter length to offset distance beyond which miter joins become bevels
+    miterLimit?: number;
+    // maximum distance the approximated offset is allowed to stray from the true offset
+    tolerance?: number;
+}
+
+export interface StrokeOptions extends OffsetOptions {
+    // how the ends of open subpaths are drawn
+    cap?: LineCap;
+}
+
+/**
+ * Curves offset from a single segment; the first point is moved to
+ */
+type OffsetPiece = DrawPoint[];
+
+const defaultOffsetOptions = {join: "miter" as LineJoin, miterLimit: 4, tolerance: 0.1};
+
+function isSamePoint(p1: Point, p2: Point): boolean {
+    return norm(diff(p1, p2)) < 1e-9;
+}
+
+/**
+ * Get the largest distance between the approximated offset curve and where it should be
+ */
+function getOffsetError(p1: DrawPoint, p2: DrawPoint, offsetP1: DrawPoint, offsetP2: DrawPoint,
+                        distance: number): number {
+    let error = 0;
+    [0.25, 0.5, 0.75].forEach((t) => {
+        const pt = getPointOnCurve(t, offsetP1, offsetP2);
+        error = Math.max(error, Math.abs(getClosestPointOnCurve(pt, p1, p2).distance - Math.abs(distance)));
+    });
+    return error;
+}
+
+/**
+ * Approximate the offset of a cubic curve with cubic curves
+ */
+function offsetCubic(p1: DrawPoint, p2: DrawPoint, distance: number, tolerance: number,
+                     depth: number): DrawPoint[] {
+    const start = add(p1, getNormalAt(0, p1, p2), distance);
+    const end = add(p2, getNormalAt(1, p1, p2), distance) as DrawPoint;
+    // travelling along an offset curve is faster or slower by (1 - distance * curvature);
+    // scale the control point handles by that much
+    const startScale = 1 - distance * getCurvatureAt(0, p1, p2);
+    const endScale = 1 - distance * getCurvatureAt(1, p1, p2);
+    end.cp1 = add(start, diff(p1, p2.cp1), startScale);
+    end.cp2 = add(end, diff(p2, p2.cp2), endScale);
+
+    if (depth <= 0 || getOffsetError(p1, p2, start, end, distance) <= tolerance) {
+        return [start, end];
+    }
+    const sp = splitCurve(0.5, p1, clone(p2));
+    const left = offsetCubic(sp.left.p1, sp.left.p2, distance, tolerance, depth - 1);
+    const right = offsetCubic(sp.right.p1, sp.right.p2, distance, tolerance, depth - 1);
+    return left.concat(right.slice(1));
+}
+
+function offsetSegment(p1: DrawPoint, p2: DrawPoint, distance: number, tolerance: number): OffsetPiece {
+    return applyToCurve(p1, p2, {
+        linear(ep1, ep2) {
+            const normal = getNormalAt(0, ep1, ep2);
+            return [add(ep1, normal, distance), add(ep2, normal, distance)];
+        },
+        quadratic: (ep1) => offsetCubic(ep1, elevateDegree(ep1, p2), distance, tolerance, 8),
+        cubic: (ep1) => offsetCubic(ep1, p2, distance, tolerance, 8),
+    });
+}
+
+/**
+ * Get the points joining the end of one offset piece to the start of the next around corner.
+ * Returned points are to be drawn to after the end of the first piece.
+ */
+function getJoin(prev: OffsetPiece, next: OffsetPiece, corner: Point, inTangent: Point, outTangent: Point,
+                 distance: number, options): DrawPoint[] {
+    const from = prev[prev.length - 1];
+    const to = next[0];
+    if (isSamePoint(from, to)) {
+        return [];
+    }
+    const turn = inTangent.x * outTangent.y - inTangent.y * outTangent.x;
+    // offsetting to the left of a left turn (or right of a right turn) is on the inside
+    // where the pieces overlap; trim them back to where they cross
+    if (turn * distance > 0) {
+        const last = prev.length - 1;
+        // the crossing closest to the corner
+        const crossing = intersectCurves(prev[last - 1], prev[last], next[0], next[1])
+            .filter(intersection => intersection.t1 > 0 && intersection.t2 < 1)
+            .pop();
+        if (crossing) {
+            const before = splitCurve(crossing.t1, prev[last - 1], clone(prev[last]));
+            const after = splitCurve(crossing.t2, next[0], clone(next[1]));
+            prev[last] = before.left.p2;
+            next[0] = extractPoint(after.right.p1);
+            next[1] = after.right.p2;
+            return [];
+        }
+        return [extractPoint(to)];
+    }
+
+    if (options.join === "round") {
+        const startAngle = Math.atan2(from.y - corner.y, from.x - corner.x);
+        const endAngle = Math.atan2(to.y - corner.y, to.x - corner.x);
+        let sweep = endAngle - startAngle;
+        // go around the outside of the turn
+        if (turn > 0 && sweep < 0) {
+            sweep += 2 * Math.PI;
+        } else if (turn < 0 && sweep > 0) {
+            sweep -= 2 * Math.PI;
+        }
+        const r = Math.abs(distance);
+        const arc = getArcCurves(corner, r, r, startAngle, sweep);
+        arc[arc.length - 1].x = to.x;
+        arc[arc.length - 1].y = to.y;
+        return arc;
+    }
+
+    if (options.join === "miter") {
+        // where the tangent lines extended from both pieces meet
+        const denominator = inTangent.x * outTangent.y - inTangent.y * outTangent.x;
+        if (denominator !== 0) {
+            const v = diff(from, to);
+            const s = (v.x * outTangent.y - v.y * outTangent.x) / denominator;
+            const miter = add(from, inTangent, s);
+            if (norm(diff(corner, miter)) <= options.miterLimit * Math.abs(distance)) {
+                return [miter, extractPoint(to)];
+            }
+        }
+    }
+    // bevel
+    return [extractPoint(to)];
+}
+
+/**
+ * Leave out lines that don't go anywhere, since they have no direction
+ */
+function removeRepeatedPoints(points: DrawPoint[]): DrawPoint[] {
+    return points.filter((p, i) => i === 0 || !isSamePoint(p, points[i - 1]) || p.cp1 || p.cp2);
+}
+
+/**
+ * Offset a single subpath; closed subpaths also get joined where they end
+ */
+function offsetSubpath(subpath: Subpath, distance: number, options): Subpath {
+    const points = removeRepeatedPoints(subpath.points);
+    if (points.length < 2) {
+        return null;
+    }
+    const closed = subpath.closed || isSamePoint(points[0], points[points.length - 1]);
+    if (closed && !isSamePoint(points[0], points[points.length - 1])) {
+        // the line back to the start is implied
+        points.push(extractPoint(points[0]));
+    }
+
+    const pieces = [];
+    const inTangents = [];
+    const outTangents = [];
+    for (let i = 1; i < points.length; ++i) {
+        pieces.push(offsetSegment(points[i - 1], points[i], distance, options.tolerance));
+        outTangents.push(getTangentAt(0, points[i - 1], points[i]));
+        inTangents.push(getTangentAt(1, points[i - 1], points[i]));
+    }
+
+    const joins = [];
+    for (let i = 0; i < pieces.length - 1; ++i) {
+        joins.push(getJoin(pieces[i], pieces[i + 1], points[i + 1], inTangents[i], outTangents[i + 1],
+            distance, options));
+    }
+    if (closed) {
+        joins.push(getJoin(pieces[pieces.length - 1], pieces[0], points[0], inTangents[pieces.length - 1],
+            outTangents[0], distance, options));
+    }
+
+    const offsetPoints = [extractPoint(pieces[0][0])];
+    pieces.forEach((piece, i) => {
+        offsetPoints.push(...piece.slice(1));
+        if (i < joins.length) {
+            offsetPoints.push(...joins[i]);
+        }
+    });
+    if (closed) {
+        // the closing join already leads back to the (possibly trimmed) start; remove rounding
+        const last = offsetPoints[offsetPoints.length - 1];
+        last.x = offsetPoints[0].x;
+        last.y = offsetPoints[0].y;
+    }
+    return {points: offsetPoints, closed};
+}
+
+function getOffsetSubpaths(points: DrawPoint[], distance: number, options: OffsetOptions): Subpath[] {
+    options = Object.assign({}, defaultOffsetOptions, options);
+    return getSubpaths(...points)
+        .filter(subpath => subpath.points.length > 1)
+        .map(subpath => offsetSubpath(subpath, distance, options))
+        .filter(subpath => subpath !== null);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a path running parallel to the path drawn for a list of draw points.
+ * Curves are approximated to within a tolerance since the true offset of a curve generally
+ * isn't a curve that can be drawn.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @param distance How far to offset; positive is to the left of the direction of travel
+ * (counterclockwise from it), negative is to the right
+ * @param {OffsetOptions} options How to join segments and how closely to approximate
+ * @returns {Object[]} Draw points of the offset path, with subpaths kept separate by breakPoint
+ */
+export function offsetPath(points: DrawPoint[], distance: number, options: OffsetOptions = {}): DrawPoint[] {
+    if (distance === 0) {
+        return clone(points);
+    }
+    return joinSubpaths(...getOffsetSubpaths(points, distance, options));
+}
+
+/**
+ * Get the curves capping the end of an open stroke going from the left side to the right side
+ */
+function getCap(end: Point, tangent: Point, halfWidth: number, cap: LineCap): DrawPoint[] {
+    // the right side is clockwise from the direction of travel
+    const right = add(end, point(tangent.y, -tangent.x), halfWidth);
+    if (cap === "round") {
+        const left = add(end, point(-tangent.y, tangent.x), halfWidth);
+        const arc = getArcCurves(end, halfWidth, halfWidth, Math.atan2(left.y - end.y, left.x - end.x), -Math.PI);
+        arc[arc.length - 1].x = right.x;
+        arc[arc.length - 1].y = right.y;
+        return arc;
+    }
+    if (cap === "square") {
+        const extension = scale(tangent, halfWidth);
+        return [
+            add(add(end, point(-tangent.y, tangent.x), halfWidth), extension),
+            add(right, extension),
+            right,
+        ];
+    }
+    return [right];
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the outline of stroking the path drawn for a list of draw points, as a path that can
+ * be filled (with the nonzero fill rule) to look like the stroke.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @param width Width of the stroke
+ * @param {StrokeOptions} options How to join segments, cap open ends, and how closely to approximate
+ * @returns {Object[]} Draw points of the closed outline
+ */
+export function strokeToOutline(points: DrawPoint[], width: number, options: StrokeOptions = {}): DrawPoint[] {
+    const {cap = "butt"} = options;
+    const halfWidth = width / 2;
+    const outlines = [];
+    getSubpaths(...points).filter(subpath => subpath.points.length > 1).forEach((subpath) => {
+        const [left] = getOffsetSubpaths(joinSubpaths(subpath), halfWidth, options);
+        const [right] = getOffsetSubpaths(joinSubpaths(subpath), -halfWidth, options);
+        // nothing is drawn for subpaths that don't go anywhere
+        if (!left) {
+            return;
+        }
+        if (left.closed) {
+            // a ring, with the inside going the other way so it isn't filled
+            outlines.push(left, reverseSubpath(right));
+            return;
+        }
+        // the same points that were offset, so the ends have a direction
+        const pts = removeRepeatedPoints(subpath.points);
+        const n = pts.length;
+        const endTangent = getTangentAt(1, pts[n - 2], pts[n - 1]);
+        const startTangent = getTangentAt(0, pts[0], pts[1]);
+        const outline = left.points.concat(
+            getCap(pts[n - 1], endTangent, halfWidth, cap),
+            reverseSubpath(right).points.slice(1),
+            getCap(pts[0], scale(startTangent, -1), halfWidth, cap));
+        outlines.push({points: outline, closed: true});
+    });
+    return joinSubpaths(...outlines);
+}
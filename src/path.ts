@@ -0,0 +1,622 @@
+import {add, breakPoint, endPoint, diff, norm, point, extractPoint, DrawPoint, Point} from "./point";
+import {
+    getClosestPointOnCurve, getCurveBoundingBox, getCurveLength, getCurveWinding, getPointOnCurve, getTAtLength,
+    splitCurve, BoundingBox, ProjectedPoint
+} from "./curve";
+import {getSegments, Segment} from "./segment";
+import {clone, splitTrailingOptions} from "./util";
+import {drawPoints} from "./draw";
+import {transformPoint, Matrix} from "./matrix";
+
+/**
+ * A continuous run of curves within a path
+ */
+export interface Subpath {
+    // the first point is moved to and every point after is drawn to
+    points: DrawPoint[];
+    // whether it was ended with endPoint
+    closed: boolean;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Break up a list of draw points into its continuous subpaths, following the same rules as
+ * getSegments. Points drawn after an endPoint continue from where the closed subpath ended.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {Subpath[]}
+ */
+export function getSubpaths(...points): Subpath[] {
+    const subpaths = [];
+    let current = null;
+    for (let i = 0; i < points.length; ++i) {
+        const p = points[i];
+        if (!p) {
+            continue;
+        }
+        if (p === breakPoint) {
+            current = null;
+        } else if (p === endPoint) {
+            if (current !== null) {
+                current.closed = true;
+                // anything drawn afterwards starts from the end of this one
+                const last = current.points[current.points.length - 1];
+                current = {points: [extractPoint(last)], closed: false};
+                subpaths.push(current);
+            }
+        } else if (p.hasOwnProperty("x")) {
+            if (current === null) {
+                current = {points: [], closed: false};
+                subpaths.push(current);
+            }
+            current.points.push(p);
+        }
+    }
+    // drop the starts left behind by endPoint that never got drawn to
+    return subpaths.filter((subpath, i) =>
+        subpath.points.length > 1 || i === 0 || subpaths[i - 1].closed === false);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the list of draw points that draws a sequence of subpaths; the inverse of getSubpaths
+ * @param {Subpath[]} subpaths
+ * @returns {Object[]} Ordered list of draw points, with breakPoint between subpaths and
+ * endPoint after closed ones
+ */
+export function joinSubpaths(...subpaths: Subpath[]): DrawPoint[] {
+    const points = [];
+    subpaths.forEach((subpath, i) => {
+        if (i > 0) {
+            points.push(breakPoint);
+        }
+        points.push(...subpath.points);
+        if (subpath.closed) {
+            points.push(endPoint);
+        }
+    });
+    return points;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get a subpath that looks identical but is drawn in the opposite direction
+ * @param {Subpath} subpath
+ * @returns {Subpath}
+ */
+export function reverseSubpath(subpath: Subpath): Subpath {
+    const {points} = subpath;
+    if (points.length === 0) {
+        return {points: [], closed: subpath.closed};
+    }
+    const reversed = [extractPoint(points[points.length - 1])];
+    for (let i = points.length - 1; i > 0; --i) {
+        // control points of a curve are stored on its end point
+        const p: DrawPoint = extractPoint(points[i - 1]);
+        if (points[i].cp2) {
+            p.cp1 = extractPoint(points[i].cp2);
+        }
+        if (points[i].cp1) {
+            p.cp2 = extractPoint(points[i].cp1);
+        }
+        reversed.push(p);
+    }
+    return {points: reversed, closed: subpath.closed};
+}
+
+/**
+ * Get the segments stroked for a list of draw points, which unlike getSegments includes the
+ * lines back to the start of subpaths closed with endPoint. Those end on a copy of the start
+ * and have the index of the endPoint.
+ */
+function getStrokedSegments(points: DrawPoint[]): Segment[] {
+    const segments = [];
+    let pen = null;
+    let start = null;
+    points.forEach((p, index) => {
+        if (!p) {
+            return;
+        }
+        if ((p as object) === breakPoint) {
+            pen = null;
+        } else if ((p as object) === endPoint) {
+            if (pen !== null && (pen.x !== start.x || pen.y !== start.y)) {
+                segments.push({p1: pen, p2: extractPoint(start), index});
+            }
+            // anything drawn afterwards continues from the end, as with getSubpaths
+            start = pen;
+        } else if (p.hasOwnProperty("x")) {
+            if (pen !== null) {
+                segments.push({p1: pen, p2: p, index});
+            } else {
+                start = p;
+            }
+            pen = p;
+        }
+    });
+    return segments;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the total length of all the curves drawn for a list of draw points, including the lines
+ * back to the start of subpaths closed with endPoint
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {number}
+ */
+export function getPathLength(...points): number {
+    return getStrokedSegments(points).reduce((length, {p1, p2}) => length + getCurveLength(p1, p2), 0);
+}
+
+/**
+ * Find which segment and how far along it a given distance along the path lands
+ * @param segments
+ * @param length Distance along the path; clamped to the path's length
+ */
+function locateLength(segments: Segment[], length: number): { segment: Segment, t: number } {
+    if (segments.length === 0) {
+        return null;
+    }
+    for (let i = 0; i < segments.length; ++i) {
+        const {p1, p2} = segments[i];
+        const segmentLength = getCurveLength(p1, p2);
+        if (length <= segmentLength || i === segments.length - 1) {
+            return {
+                segment: segments[i],
+                t: getTAtLength(length, p1, p2, segmentLength),
+            };
+        }
+        length -= segmentLength;
+    }
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the point a given distance along the path drawn for a list of draw points.
+ * Subpaths are treated as continuing on from each other without the jump between them, and
+ * closed ones as going back to their start as with getPathLength.
+ * @param length Distance along the path; clamped to the path's length
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {{x: number, y: number}|null} Point on the path, or null if nothing is drawn
+ */
+export function getPointAtLength(length: number, ...points): DrawPoint {
+    const location = locateLength(getStrokedSegments(points), length);
+    if (location === null) {
+        return null;
+    }
+    return getPointOnCurve(location.t, location.segment.p1, location.segment.p2);
+}
+
+/**
+ * Get the part of the [p1, p2] curve between two values of t
+ * @returns {Object[]} Start and end of the part, with the end holding its control points
+ */
+function getCurvePart(p1: DrawPoint, p2: DrawPoint, t0: number, t1: number): [DrawPoint, DrawPoint] {
+    let start = p1, end = p2;
+    if (t1 < 1) {
+        // splitting modifies the end point
+        end = splitCurve(t1, start, clone(end)).left.p2;
+    }
+    if (t0 > 0) {
+        const sp = splitCurve(t0 / t1, start, clone(end));
+        start = sp.right.p1;
+        end = sp.right.p2;
+    }
+    return [extractPoint(start), (end === p2) ? clone(p2) : end];
+}
+
+/**
+ * Segment along with where it lies along the path
+ */
+interface MeasuredSegment extends Segment {
+    // distance along the path to where the segment starts
+    start: number;
+    length: number;
+}
+
+function measureSegments(points: DrawPoint[]): MeasuredSegment[] {
+    let travelled = 0;
+    return getStrokedSegments(points).map((segment) => {
+        const length = getCurveLength(segment.p1, segment.p2);
+        const measured = {p1: segment.p1, p2: segment.p2, index: segment.index, start: travelled, length};
+        travelled += length;
+        return measured;
+    });
+}
+
+/**
+ * Cut the part between two distances out of measured segments
+ * @param segments
+ * @param startLength
+ * @param endLength
+ * @param first Index of the segment to start looking from; segments before it are skipped
+ * @returns The draw points of the part (a single point twice if it has no length), and the index
+ * of the segment it ends in so that cutting later parts can continue from there
+ */
+function cutSegments(segments: MeasuredSegment[], startLength: number, endLength: number,
+                     first: number = 0): { part: DrawPoint[], last: number } {
+    let i = first;
+    while (i < segments.length - 1 && segments[i].start + segments[i].length < startLength) {
+        ++i;
+    }
+    if (endLength === startLength) {
+        const {p1, p2, start, length} = segments[i];
+        const at = extractPoint(getPointOnCurve((length > 0) ? getTAtLength(startLength - start, p1, p2, length) : 0,
+            p1, p2));
+        return {part: [at, extractPoint(at)], last: i};
+    }
+
+    const part = [];
+    let last = i;
+    let previous: Segment = null;
+    for (; i < segments.length && segments[i].start < endLength; ++i) {
+        const {p1, p2, start, length} = segments[i];
+        const travelled = start + length;
+        if (travelled <= startLength) {
+            previous = null;
+            continue;
+        }
+        const t0 = (startLength > start) ? getTAtLength(startLength - start, p1, p2, length) : 0;
+        const t1 = (endLength < travelled) ? getTAtLength(endLength - start, p1, p2, length) : 1;
+        const [partStart, partEnd] = getCurvePart(p1, p2, t0, t1);
+        if (previous === null || previous.p2 !== p1) {
+            if (part.length) {
+                part.push(breakPoint);
+            }
+            part.push(partStart);
+        }
+        part.push(partEnd);
+        previous = segments[i];
+        last = i;
+    }
+    return {part, last};
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the part of the path drawn for a list of draw points between two distances along it,
+ * with curves split exactly where the distances land. Useful for revealing a path as it is
+ * drawn on. Subpaths are treated as continuing on from each other and closed ones as going back
+ * to their start, as with getPointAtLength.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @param startLength Distance along the path to start from
+ * @param endLength Distance along the path to end at
+ * @returns {Object[]} Draw points of the part, with breakPoint between parts of different
+ * subpaths; empty if endLength is not after startLength
+ */
+export function subPath(points: DrawPoint[], startLength: number, endLength: number): DrawPoint[] {
+    if (endLength <= startLength) {
+        return [];
+    }
+    return cutSegments(measureSegments(points), startLength, endLength).part;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Break the path drawn for a list of draw points up into dashes, like a canvas context's
+ * setLineDash but giving the dashes as draw points so they can be exported or further
+ * manipulated. As on a canvas, the pattern starts over for each subpath, and dashes of length 0
+ * are kept (as a point repeated twice) so they can be drawn as dots with round or square caps.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @param {number[]} pattern Alternating lengths of dashes and gaps; a pattern with an odd
+ * number of lengths is repeated to make it even
+ * @param offset How far into the pattern to start
+ * @returns {Object[]} Draw points of the dashes, each its own subpath separated by breakPoint.
+ * Invalid patterns (empty, negative, or all zero) leave the path undashed.
+ */
+export function dashPath(points: DrawPoint[], pattern: number[], offset: number = 0): DrawPoint[] {
+    if (pattern.length % 2 === 1) {
+        pattern = pattern.concat(pattern);
+    }
+    const patternLength = pattern.reduce((total, length) => total + length, 0);
+    if (pattern.length === 0 || patternLength <= 0 || pattern.some(length => length < 0 || !isFinite(length))) {
+        return points.slice();
+    }
+    const dashes = [];
+    getSubpaths(...points).forEach((subpath) => {
+        // measured once, along with the line back to the start of closed subpaths; every dash
+        // carries on from the segment the last one ended in
+        const segments = measureSegments(joinSubpaths(subpath));
+        if (segments.length === 0) {
+            return;
+        }
+        const length = segments[segments.length - 1].start + segments[segments.length - 1].length;
+        let segmentIndex = 0;
+        // start far enough back in the pattern to cover the offset
+        let position = -(((offset % patternLength) + patternLength) % patternLength);
+        for (let i = 0; position <= length; i = (i + 1) % pattern.length) {
+            const end = position + pattern[i];
+            const isDash = i % 2 === 0;
+            if (isDash && (end > 0 && position < length || pattern[i] === 0 && position >= 0)) {
+                const cut = cutSegments(segments, Math.max(0, position), Math.min(length, end), segmentIndex);
+                if (cut.part.length) {
+                    dashes.push({points: cut.part, closed: false});
+                }
+                segmentIndex = cut.last;
+            }
+            position = end;
+        }
+    });
+    return joinSubpaths(...dashes);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the smallest axis aligned box containing everything drawn for a list of draw points.
+ * Jumps between subpaths after breakPoint are not drawn so they do not count.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {BoundingBox|null} Bounding box, or null if nothing is drawn
+ */
+export function getPathBoundingBox(...points): BoundingBox {
+    const segments = getSegments(...points);
+    if (segments.length === 0) {
+        return null;
+    }
+    return segments.reduce((box, {p1, p2}) => {
+        const segmentBox = getCurveBoundingBox(p1, p2);
+        return {
+            min: point(Math.min(box.min.x, segmentBox.min.x), Math.min(box.min.y, segmentBox.min.y)),
+            max: point(Math.max(box.max.x, segmentBox.max.x), Math.max(box.max.y, segmentBox.max.y)),
+        };
+    }, getCurveBoundingBox(segments[0].p1, segments[0].p2));
+}
+
+/**
+ * Point on a path closest to some query point
+ */
+export interface PathProjectedPoint extends ProjectedPoint {
+    // index of the end point of the segment the point is on in the list of draw points
+    index: number;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the point along the path drawn for a list of draw points closest to a query point
+ * @param pt Query point
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {PathProjectedPoint|null} Closest point, with which segment it is on and how far
+ * along that segment it is, or null if nothing is drawn
+ */
+export function getClosestPointOnPath(pt: Point, ...points): PathProjectedPoint {
+    let closest = null;
+    getSegments(...points).forEach(({p1, p2, index}) => {
+        const candidate = getClosestPointOnCurve(pt, p1, p2) as PathProjectedPoint;
+        if (closest === null || candidate.distance < closest.distance) {
+            candidate.index = index;
+            closest = candidate;
+        }
+    });
+    return closest;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Insert a point along a segment of a path without changing its shape.
+ * Can be used with the result of getClosestPointOnPath to insert where the path was clicked.
+ * @param index Index of the end point of the segment to split in the list of draw points
+ * @param t How far along the segment to insert the point
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {Object[]} New list of draw points with the inserted point at index; the list is
+ * returned unchanged if index does not end a segment
+ */
+export function insertPoint(index: number, t: number, ...points): DrawPoint[] {
+    const segment = getSegments(...points).filter(segment => segment.index === index)[0];
+    if (!segment) {
+        return points.slice();
+    }
+    // splitting modifies the end point
+    const sp = splitCurve(t, segment.p1, clone(segment.p2));
+    return points.slice(0, index).concat([sp.left.p2, sp.right.p2], points.slice(index + 1));
+}
+
+/**
+ * Get the distance from a point to the line segment between a and b
+ */
+function getDistanceToLineSegment(pt: Point, a: Point, b: Point): number {
+    const ab = diff(a, b);
+    const lengthSquared = ab.x * ab.x + ab.y * ab.y;
+    const t = (lengthSquared === 0) ? 0 :
+        Math.max(0, Math.min(1, ((pt.x - a.x) * ab.x + (pt.y - a.y) * ab.y) / lengthSquared));
+    return norm(diff(add(a, ab, t), pt));
+}
+
+/**
+ * Add points along the [p1, p2] curve to a polyline, splitting the curve in half until its
+ * control points are all within tolerance of the line between its ends. Since a curve stays
+ * within its control points, each piece is then within tolerance of a straight line.
+ */
+function flattenCurve(p1: DrawPoint, p2: DrawPoint, tolerance: number, polyline: Point[], depth: number) {
+    const cps = [p2.cp1, p2.cp2].filter(cp => cp);
+    if (depth <= 0 || cps.every(cp => getDistanceToLineSegment(cp, p1, p2) <= tolerance)) {
+        polyline.push(extractPoint(p2));
+        return;
+    }
+    // splitting modifies the end point
+    const sp = splitCurve(0.5, p1, clone(p2));
+    flattenCurve(sp.left.p1, sp.left.p2, tolerance, polyline, depth - 1);
+    flattenCurve(sp.right.p1, sp.right.p2, tolerance, polyline, depth - 1);
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Approximate the path drawn for a list of draw points with straight lines. Curves are split
+ * more finely where they bend more, so straight stretches only need a few points.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @param tolerance Furthest any part of the path is allowed to be from the lines
+ * @returns {Object[][]} A polyline of plain points for each subpath; closed subpaths end with
+ * their first point
+ */
+export function flattenPath(points: DrawPoint[], tolerance: number = 0.1): Point[][] {
+    return getSubpaths(...points).map((subpath) => {
+        const polyline = [extractPoint(subpath.points[0])];
+        for (let i = 1; i < subpath.points.length; ++i) {
+            flattenCurve(subpath.points[i - 1], subpath.points[i], tolerance, polyline, 16);
+        }
+        const start = polyline[0], end = polyline[polyline.length - 1];
+        if (subpath.closed && (start.x !== end.x || start.y !== end.y)) {
+            polyline.push(extractPoint(start));
+        }
+        return polyline;
+    });
+}
+
+/**
+ * Rule for deciding whether a point is inside a path from how many times the path winds around it
+ */
+export type FillRule = "nonzero" | "evenodd";
+
+export interface HitTestOptions {
+    // same as the fillRule argument of a canvas context's fill and isPointInPath
+    fillRule?: FillRule;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get how many times the path drawn for a list of draw points winds counterclockwise around a
+ * point when filled. Like filling on a canvas, every subpath is treated as closed.
+ * @param pt
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {number} Winding number; clockwise winding counts negatively
+ */
+export function getWindingNumber(pt: Point, ...points): number {
+    let winding = 0;
+    getSubpaths(...points).forEach(({points: subpathPoints}) => {
+        for (let i = 1; i < subpathPoints.length; ++i) {
+            winding += getCurveWinding(pt, subpathPoints[i - 1], subpathPoints[i]);
+        }
+        // the line back to the start; the start's own control points are not part of it
+        winding += getCurveWinding(pt, subpathPoints[subpathPoints.length - 1], extractPoint(subpathPoints[0]));
+    });
+    return winding;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Check whether a point would be filled when filling the path drawn for a list of draw points.
+ * Works without a canvas context by computing where the path's curves cross a ray from the point.
+ * @param pt
+ * @param {...Object} points Ordered list of draw points, each with x and y, optionally followed by
+ * HitTestOptions (fillRule defaults to "nonzero")
+ * @returns {boolean}
+ */
+export function isPointInPath(pt: Point, ...points): boolean {
+    const [pathPoints, options] = splitTrailingOptions(points);
+    const {fillRule = "nonzero"} = options as HitTestOptions;
+    const winding = getWindingNumber(pt, ...pathPoints);
+    return (fillRule === "evenodd") ? winding % 2 !== 0 : winding !== 0;
+}
+
+/**
+ * Function mapping a point to where it should be moved to
+ */
+export type PointTransform = (pt: Point) => Point;
+
+/**
+ * Path made up of subpaths, each a continuous run of curves.
+ * Can be made from and turned back into the lists of draw points used by drawPoints,
+ * taking care of breakPoint, endPoint, and missing points along the way.
+ */
+export class Path {
+    subpaths: Subpath[];
+
+    constructor(subpaths: Subpath[] = []) {
+        this.subpaths = subpaths;
+    }
+
+    /**
+     * Make a path from a list of draw points as would be given to drawPoints
+     * @param {Object[]} points Ordered list of draw points, each with x and y
+     */
+    static fromPoints(...points): Path {
+        return new Path(getSubpaths(...points));
+    }
+
+    /**
+     * Get the list of draw points that draws this path
+     * @returns {Object[]} Ordered list of draw points
+     */
+    toPoints(): DrawPoint[] {
+        return joinSubpaths(...this.subpaths);
+    }
+
+    /**
+     * Get every curve in this path in the order they are drawn
+     * @returns {Segment[]} Segments, where index refers to the draw point in toPoints()
+     */
+    segments(): Segment[] {
+        return getSegments(...this.toPoints());
+    }
+
+    /**
+     * Call a function on every curve in this path in the order they are drawn
+     * @param callback Given the start and end of each curve, along with which subpath it is in
+     */
+    forEachSegment(callback: (p1: DrawPoint, p2: DrawPoint, subpathIndex: number) => void): void {
+        this.subpaths.forEach(({points}, subpathIndex) => {
+            for (let i = 1; i < points.length; ++i) {
+                callback(points[i - 1], points[i], subpathIndex);
+            }
+        });
+    }
+
+    /**
+     * Iterate over [p1, p2] pairs of every curve in this path
+     */
+    [Symbol.iterator](): Iterator<[DrawPoint, DrawPoint]> {
+        const pairs = [];
+        this.forEachSegment((p1, p2) => pairs.push([p1, p2]));
+        let i = 0;
+        return {
+            next: () => (i < pairs.length) ? {done: false, value: pairs[i++]} : {done: true, value: undefined},
+        };
+    }
+
+    /**
+     * Move the pen along this path; like drawPoints, does not begin, fill, or stroke the path
+     * @param {Context2DTracked} ctx Context2D to render to
+     */
+    draw(ctx: any): void {
+        drawPoints(ctx, ...this.toPoints());
+    }
+
+    /**
+     * Get a deep copy of this path
+     */
+    clone(): Path {
+        return new Path(this.subpaths.map(({points, closed}) => ({points: points.map(clone), closed})));
+    }
+
+    /**
+     * Get a path that looks identical but is drawn in the opposite direction
+     */
+    reverse(): Path {
+        return new Path(this.subpaths.map(reverseSubpath).reverse());
+    }
+
+    /**
+     * Get a copy of this path with every point and control point moved
+     * @param transform Affine transform, or function given each point that returns where it
+     * should be moved to
+     */
+    transform(transform: PointTransform | Matrix): Path {
+        if (typeof transform !== "function") {
+            const m = transform;
+            transform = pt => transformPoint(m, pt);
+        }
+
+        function move(pt: DrawPoint): DrawPoint {
+            const moved = clone(pt);
+            const {x, y} = (transform as PointTransform)(pt);
+            moved.x = x;
+            moved.y = y;
+            if (pt.cp1) {
+                moved.cp1 = extractPoint((transform as PointTransform)(pt.cp1));
+            }
+            if (pt.cp2) {
+                moved.cp2 = extractPoint((transform as PointTransform)(pt.cp2));
+            }
+            return moved;
+        }
+
+        return new Path(this.subpaths.map(({points, closed}) => ({points: points.map(move), closed})));
+    }
+}
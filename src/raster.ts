@@ -0,0 +1,317 @@
+import {DrawPoint, Point} from "./point";
+import {flattenPath, FillRule} from "./path";
+import {strokeToOutline, StrokeOptions} from "./offset";
+import {transformPoints, Matrix} from "./matrix";
+
+/**
+ * RGBA pixels in the same layout as a canvas ImageData: 4 bytes per pixel, row by row from the top
+ */
+export interface RasterImage {
+    width: number;
+    height: number;
+    data: Uint8ClampedArray;
+}
+
+/**
+ * Red, green, blue, and alpha, each in [0,255]
+ */
+export type Color = [number, number, number, number];
+
+export interface RasterOptions {
+    color?: Color;
+    // applied to the points before rasterizing; by default points are in pixels
+    transform?: Matrix;
+    // how finely curves are approximated, in pixels
+    tolerance?: number;
+}
+
+export interface FillOptions extends RasterOptions {
+    fillRule?: FillRule;
+}
+
+export interface RasterStrokeOptions extends RasterOptions, StrokeOptions {
+    lineWidth?: number;
+}
+
+// number of rows sampled within each pixel for anti-aliasing; coverage along rows is exact
+const subsamples = 5;
+
+const defaultRasterOptions = {color: [0, 0, 0, 255] as Color, tolerance: 0.1};
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Make a fully transparent image to rasterize into
+ * @param width Width in pixels
+ * @param height Height in pixels
+ * @returns {RasterImage}
+ */
+export function createImage(width: number, height: number): RasterImage {
+    return {width, height, data: new Uint8ClampedArray(width * height * 4)};
+}
+
+/**
+ * Straight line between two points of a polygon that is crossed by some scanlines
+ */
+interface Edge {
+    x0: number;
+    y0: number;
+    x1: number;
+    y1: number;
+    // 1 if the edge goes towards increasing y, -1 otherwise
+    direction: number;
+}
+
+function getEdges(polylines: Point[][]): Edge[] {
+    const edges = [];
+    polylines.forEach((polyline) => {
+        // filling implicitly closes every subpath
+        const closed = polyline.concat([polyline[0]]);
+        for (let i = 1; i < closed.length; ++i) {
+            const a = closed[i - 1], b = closed[i];
+            if (a.y !== b.y) {
+                edges.push({x0: a.x, y0: a.y, x1: b.x, y1: b.y, direction: (b.y > a.y) ? 1 : -1});
+            }
+        }
+    });
+    return edges;
+}
+
+/**
+ * Add the coverage of the span [x0, x1) along a row, with partially covered pixels getting
+ * partial coverage
+ */
+function addSpan(coverage: Float64Array, x0: number, x1: number, weight: number) {
+    x0 = Math.max(0, x0);
+    x1 = Math.min(coverage.length, x1);
+    if (x1 <= x0) {
+        return;
+    }
+    const first = Math.floor(x0), last = Math.floor(x1);
+    if (first === last) {
+        coverage[first] += (x1 - x0) * weight;
+        return;
+    }
+    coverage[first] += (first + 1 - x0) * weight;
+    for (let x = first + 1; x < last; ++x) {
+        coverage[x] += weight;
+    }
+    if (last < coverage.length) {
+        coverage[last] += (x1 - last) * weight;
+    }
+}
+
+/**
+ * Blend a color over a pixel with the given coverage, like source-over compositing
+ */
+function blendPixel(image: RasterImage, index: number, color: Color, coverage: number) {
+    const {data} = image;
+    const srcAlpha = color[3] / 255 * Math.min(1, coverage);
+    const dstAlpha = data[index + 3] / 255;
+    const outAlpha = srcAlpha + dstAlpha * (1 - srcAlpha);
+    if (outAlpha === 0) {
+        return;
+    }
+    for (let i = 0; i < 3; ++i) {
+        data[index + i] = (color[i] * srcAlpha + data[index + i] * dstAlpha * (1 - srcAlpha)) / outAlpha;
+    }
+    data[index + 3] = outAlpha * 255;
+}
+
+function fillPolylines(image: RasterImage, polylines: Point[][], fillRule: FillRule, color: Color) {
+    const edges = getEdges(polylines);
+    if (edges.length === 0) {
+        return;
+    }
+    // a loop rather than spreading into Math.min, which has a limit on how many arguments it takes
+    let top = Infinity, bottom = -Infinity;
+    edges.forEach((e) => {
+        top = Math.min(top, e.y0, e.y1);
+        bottom = Math.max(bottom, e.y0, e.y1);
+    });
+    const minY = Math.max(0, Math.floor(top));
+    const maxY = Math.min(image.height, Math.ceil(bottom));
+    const coverage = new Float64Array(image.width);
+
+    for (let row = minY; row < maxY; ++row) {
+        coverage.fill(0);
+        for (let s = 0; s < subsamples; ++s) {
+            const y = row + (s + 0.5) / subsamples;
+            const crossings = [];
+            edges.forEach(({x0, y0, x1, y1, direction}) => {
+                // half-open so that edges meeting at a vertex are crossed once
+                if (y >= Math.min(y0, y1) && y < Math.max(y0, y1)) {
+                    crossings.push({x: x0 + (y - y0) * (x1 - x0) / (y1 - y0), direction});
+                }
+            });
+            crossings.sort((a, b) => a.x - b.x);
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; ++i) {
+                winding += crossings[i].direction;
+                const inside = (fillRule === "evenodd") ? winding % 2 !== 0 : winding !== 0;
+                if (inside) {
+                    addSpan(coverage, crossings[i].x, crossings[i + 1].x, 1 / subsamples);
+                }
+            }
+        }
+        for (let x = 0; x < image.width; ++x) {
+            if (coverage[x] > 0) {
+                blendPixel(image, (row * image.width + x) * 4, color, coverage[x]);
+            }
+        }
+    }
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Fill the path drawn for a list of draw points into an image, with anti-aliasing.
+ * Like filling on a canvas, every subpath is treated as closed.
+ * @param {RasterImage} image Image to draw into
+ * @param {Object[]} points Ordered list of draw points as would be given to drawPoints, in pixels
+ * @param {FillOptions} options Color (opaque black by default), fill rule (nonzero by default),
+ * and transform
+ * @returns {RasterImage} The same image, for chaining
+ */
+export function fillPath(image: RasterImage, points: DrawPoint[], options: FillOptions = {}): RasterImage {
+    const {color, tolerance, transform, fillRule = "nonzero"} = Object.assign({}, defaultRasterOptions, options);
+    if (transform) {
+        points = transformPoints(transform, ...points);
+    }
+    fillPolylines(image, flattenPath(points, tolerance), fillRule, color);
+    return image;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Stroke the path drawn for a list of draw points into an image, with anti-aliasing
+ * @param {RasterImage} image Image to draw into
+ * @param {Object[]} points Ordered list of draw points as would be given to drawPoints, in pixels
+ * @param {RasterStrokeOptions} options Color (opaque black by default), line width (1 by default),
+ * joins and caps (as with strokeToOutline), and transform. As on a canvas, the line width is
+ * before the transform: the outline of the stroke is transformed, so scaling also scales the width.
+ * @returns {RasterImage} The same image, for chaining
+ */
+export function strokePath(image: RasterImage, points: DrawPoint[],
+                           options: RasterStrokeOptions = {}): RasterImage {
+    const {color, tolerance, transform, lineWidth = 1} = Object.assign({}, defaultRasterOptions, options);
+    // the outline is made before transforming, so it has to be as much finer as the transform enlarges it
+    const scale = transform ? Math.sqrt(Math.abs(transform.a * transform.d - transform.b * transform.c)) : 1;
+    let outline = strokeToOutline(points, lineWidth, Object.assign({}, options, {tolerance: tolerance / (scale || 1)}));
+    if (transform) {
+        outline = transformPoints(transform, ...outline);
+    }
+    fillPolylines(image, flattenPath(outline, tolerance), "nonzero", color);
+    return image;
+}
+
+let crcTable: number[] = null;
+
+function crc32(bytes: Uint8Array, start: number, end: number): number {
+    if (crcTable === null) {
+        crcTable = [];
+        for (let n = 0; n < 256; ++n) {
+            let c = n;
+            for (let k = 0; k < 8; ++k) {
+                c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable.push(c >>> 0);
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = start; i < end; ++i) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes: Uint8Array): number {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; ++i) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap bytes in a zlib stream without compressing them, using stored deflate blocks
+ */
+function zlibStore(bytes: Uint8Array): Uint8Array {
+    const maxBlock = 65535;
+    const numBlocks = Math.max(1, Math.ceil(bytes.length / maxBlock));
+    const out = new Uint8Array(2 + numBlocks * 5 + bytes.length + 4);
+    // deflate with a 32K window and no preset dictionary
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let pos = 2;
+    for (let block = 0; block < numBlocks; ++block) {
+        const start = block * maxBlock;
+        const length = Math.min(maxBlock, bytes.length - start);
+        out[pos++] = (block === numBlocks - 1) ? 1 : 0;
+        out[pos++] = length & 0xff;
+        out[pos++] = length >>> 8;
+        out[pos++] = ~length & 0xff;
+        out[pos++] = (~length >>> 8) & 0xff;
+        out.set(bytes.subarray(start, start + length), pos);
+        pos += length;
+    }
+    const checksum = adler32(bytes);
+    out[pos++] = checksum >>> 24;
+    out[pos++] = (checksum >>> 16) & 0xff;
+    out[pos++] = (checksum >>> 8) & 0xff;
+    out[pos] = checksum & 0xff;
+    return out;
+}
+
+function writeUint32(bytes: Uint8Array, pos: number, value: number) {
+    bytes[pos] = value >>> 24;
+    bytes[pos + 1] = (value >>> 16) & 0xff;
+    bytes[pos + 2] = (value >>> 8) & 0xff;
+    bytes[pos + 3] = value & 0xff;
+}
+
+function makeChunk(type: string, content: Uint8Array): Uint8Array {
+    const chunk = new Uint8Array(12 + content.length);
+    writeUint32(chunk, 0, content.length);
+    for (let i = 0; i < 4; ++i) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(content, 8);
+    writeUint32(chunk, 8 + content.length, crc32(chunk, 4, 8 + content.length));
+    return chunk;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Encode an image as an (uncompressed) 8 bit RGBA PNG file
+ * @param {RasterImage} image
+ * @returns {Uint8Array} Bytes of the PNG file
+ */
+export function encodePNG(image: RasterImage): Uint8Array {
+    const {width, height, data} = image;
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    // bit depth 8, color type 6 (RGBA), default compression, filter, and no interlacing
+    header.set([8, 6, 0, 0, 0], 8);
+
+    // each row starts with its filter type, which is 0 for none
+    const rowLength = width * 4;
+    const raw = new Uint8Array(height * (rowLength + 1));
+    for (let y = 0; y < height; ++y) {
+        raw.set(data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+    }
+
+    const chunks = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        makeChunk("IHDR", header),
+        makeChunk("IDAT", zlibStore(raw)),
+        makeChunk("IEND", new Uint8Array(0)),
+    ];
+    const png = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let pos = 0;
+    chunks.forEach((chunk) => {
+        png.set(chunk, pos);
+        pos += chunk.length;
+    });
+    return png;
+}
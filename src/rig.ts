@@ -0,0 +1,196 @@
+import {DrawPoint} from "./point";
+
+/**
+ * Named draw points, such as the evaluated points of a rig
+ */
+export interface RigPoints {
+    [name: string]: DrawPoint;
+}
+
+/**
+ * Named values that rig points are defined in terms of, such as lengths and angles
+ */
+export interface RigParameters {
+    [name: string]: any;
+}
+
+/**
+ * Define a draw point in terms of other named points and parameters. Only the points and
+ * parameters actually read are dependencies, so this should not keep references to either object.
+ */
+export type PointDefinition = (points: RigPoints, parameters: RigParameters) => DrawPoint;
+
+/**
+ * What a point read the last time it was evaluated
+ */
+interface Dependencies {
+    points: string[];
+    parameters: string[];
+}
+
+/**
+ * Named draw points defined as functions of each other and of parameters, evaluated in
+ * dependency order. Dependencies are recorded as definitions read points and parameters, and
+ * evaluated points are kept until something they depend on changes.
+ */
+export class Rig {
+    definitions: { [name: string]: PointDefinition };
+    parameters: RigParameters;
+    // evaluated points and what they depended on
+    cache: RigPoints;
+    dependencies: { [name: string]: Dependencies };
+    // points currently being evaluated, innermost last
+    evaluating: string[];
+
+    /**
+     * @param {RigParameters} parameters Starting values of the parameters
+     */
+    constructor(parameters: RigParameters = {}) {
+        this.definitions = {};
+        this.parameters = Object.assign({}, parameters);
+        this.cache = {};
+        this.dependencies = {};
+        this.evaluating = [];
+    }
+
+    /**
+     * Define (or redefine) a named point. Redefining a point re-evaluates the points depending
+     * on it; defining a new point re-evaluates every point.
+     * @param name
+     * @param {PointDefinition} definition Given the rig's points and parameters, returns the draw point
+     * @returns {Rig} This rig, for chaining
+     */
+    define(name: string, definition: PointDefinition): Rig {
+        if (this.definitions.hasOwnProperty(name) === false) {
+            // definitions may have read it while it was missing, which can't be recorded
+            this.cache = {};
+            this.dependencies = {};
+        }
+        this.definitions[name] = definition;
+        this.invalidate("points", name);
+        return this;
+    }
+
+    /**
+     * Change parameters; only points depending on parameters whose values changed are
+     * evaluated again. Adding a parameter the rig didn't have yet re-evaluates every point.
+     * @param {RigParameters} parameters New values by name, leaving other parameters as they are
+     * @returns {Rig} This rig, for chaining
+     */
+    set(parameters: RigParameters): Rig {
+        Object.keys(parameters).forEach((name) => {
+            if (this.parameters.hasOwnProperty(name) === false) {
+                // definitions may have read it while it was missing, which can't be recorded
+                this.cache = {};
+                this.dependencies = {};
+            } else if (this.parameters[name] === parameters[name]) {
+                return;
+            }
+            this.parameters[name] = parameters[name];
+            this.invalidate("parameters", name);
+        });
+        return this;
+    }
+
+    /**
+     * Get a named point, evaluating it and whatever it depends on if needed
+     * @param name
+     * @returns {DrawPoint} The evaluated point, which is shared with the points depending on it
+     * and so should not be modified
+     * @throws Error if there is no such point or its definition depends on itself
+     */
+    get(name: string): DrawPoint {
+        if (this.cache.hasOwnProperty(name)) {
+            return this.cache[name];
+        }
+        if (this.definitions.hasOwnProperty(name) === false) {
+            throw new Error(`rig has no point named ${name}`);
+        }
+        const cycleStart = this.evaluating.indexOf(name);
+        if (cycleStart >= 0) {
+            const cycle = this.evaluating.slice(cycleStart).concat([name]);
+            throw new Error(`rig points depend on each other in a cycle: ${cycle.join(" -> ")}`);
+        }
+
+        const used = {points: [], parameters: []};
+        const points = {};
+        Object.keys(this.definitions).forEach((pointName) => {
+            Object.defineProperty(points, pointName, {
+                enumerable: true,
+                get: () => {
+                    used.points.push(pointName);
+                    return this.get(pointName);
+                },
+            });
+        });
+        const parameters = {};
+        Object.keys(this.parameters).forEach((parameterName) => {
+            Object.defineProperty(parameters, parameterName, {
+                enumerable: true,
+                get: () => {
+                    used.parameters.push(parameterName);
+                    return this.parameters[parameterName];
+                },
+            });
+        });
+
+        this.evaluating.push(name);
+        try {
+            const point = this.definitions[name](points, parameters);
+            this.cache[name] = point;
+            this.dependencies[name] = used;
+            return point;
+        } finally {
+            this.evaluating.pop();
+        }
+    }
+
+    /**
+     * Get every named point
+     * @returns {RigPoints} Evaluated points by name
+     */
+    getPoints(): RigPoints {
+        const points = {};
+        this.getOrder().forEach((name) => {
+            points[name] = this.get(name);
+        });
+        return points;
+    }
+
+    /**
+     * Get the order the points can be evaluated in, where every point comes after the ones
+     * it depends on
+     * @returns {string[]} Names of every point
+     */
+    getOrder(): string[] {
+        const order = [];
+        const visit = (name: string) => {
+            if (order.indexOf(name) >= 0) {
+                return;
+            }
+            // makes sure dependencies are known (and that there are no cycles)
+            this.get(name);
+            this.dependencies[name].points.forEach(visit);
+            order.push(name);
+        };
+        Object.keys(this.definitions).forEach(visit);
+        return order;
+    }
+
+    /**
+     * Forget the evaluated points that depend (directly or not) on a point or parameter
+     */
+    invalidate(kind: keyof Dependencies, name: string) {
+        if (kind === "points") {
+            delete this.cache[name];
+            delete this.dependencies[name];
+        }
+        Object.keys(this.dependencies).forEach((dependent) => {
+            // may have been forgotten while invalidating an earlier dependent
+            if (this.dependencies.hasOwnProperty(dependent) &&
+                this.dependencies[dependent][kind].indexOf(name) >= 0) {
+                this.invalidate("points", dependent);
+            }
+        });
+    }
+}
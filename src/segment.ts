@@ -0,0 +1,41 @@
+import {breakPoint, DrawPoint} from "./point";
+
+/**
+ * A single curve drawn as part of a path
+ */
+export interface Segment {
+    // where the curve starts
+    p1: DrawPoint;
+    // where the curve ends and holds the control points
+    p2: DrawPoint;
+    // index of p2 in the list of draw points
+    index: number;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the curves that drawPoints would draw for a list of draw points.
+ * Missing points and points without coordinates (such as endPoint) are skipped,
+ * and the point after breakPoint is moved to rather than drawn to.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {Segment[]} Segments in the order they are drawn
+ */
+export function getSegments(...points): Segment[] {
+    const segments = [];
+    let pen = null;
+    for (let i = 0; i < points.length; ++i) {
+        const p = points[i];
+        if (!p) {
+            continue;
+        }
+        if (p === breakPoint) {
+            pen = null;
+        } else if (p.hasOwnProperty("x")) {
+            if (pen !== null) {
+                segments.push({p1: pen, p2: p, index: i});
+            }
+            pen = p;
+        }
+    }
+    return segments;
+}
@@ -0,0 +1,192 @@
+import {breakPoint, endPoint, DrawPoint} from "./point";
+
+/**
+ * Named shapes, each an ordered list of draw points as would be given to drawPoints
+ */
+export interface Shapes {
+    [name: string]: DrawPoint[];
+}
+
+/**
+ * Either a single path's draw points or a group of named shapes
+ */
+export type Drawing = DrawPoint[] | Shapes;
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Version of the format written by serialize; deserialize reads this and every earlier version
+ * @readonly
+ */
+export const serializationVersion = 1;
+
+const formatName = "drawpoint";
+
+const sentinels = {break: breakPoint, end: endPoint};
+
+// keys of objects standing in for values that JSON can't hold; keys of the drawing's own
+// objects that start with $ get another $ in front so they are never mistaken for these
+const special = {
+    sentinel: "$sentinel",
+    number: "$number",
+    undefined: "$undefined",
+    id: "$id",
+    ref: "$ref",
+    items: "$items",
+};
+
+function isObject(value: any): boolean {
+    return value !== null && typeof value === "object";
+}
+
+function getSentinelName(value: any): string {
+    return Object.keys(sentinels).filter(name => sentinels[name] === value)[0];
+}
+
+/**
+ * Count how many times each object is reached, not going into an object more than once
+ */
+function countReferences(value: any, counts: Map<object, number>) {
+    if (isObject(value) === false || getSentinelName(value)) {
+        return;
+    }
+    const count = counts.get(value) || 0;
+    counts.set(value, count + 1);
+    if (count === 0) {
+        Object.keys(value).forEach(key => countReferences(value[key], counts));
+    }
+}
+
+function encodeValue(value: any, counts: Map<object, number>, ids: Map<object, number>): any {
+    if (value === undefined) {
+        return {[special.undefined]: true};
+    }
+    if (typeof value === "number") {
+        if (isFinite(value) === false || (value === 0 && 1 / value < 0)) {
+            return {[special.number]: (value === 0) ? "-0" : String(value)};
+        }
+        return value;
+    }
+    if (typeof value === "function" || typeof value === "symbol") {
+        throw new Error(`can't serialize ${typeof value} values`);
+    }
+    if (isObject(value) === false) {
+        return value;
+    }
+    const sentinel = getSentinelName(value);
+    if (sentinel) {
+        return {[special.sentinel]: sentinel};
+    }
+    if (ids.has(value)) {
+        return {[special.ref]: ids.get(value)};
+    }
+    if (Array.isArray(value) === false && Object.getPrototypeOf(value) !== Object.prototype) {
+        throw new Error("can only serialize arrays and plain objects");
+    }
+
+    const encoded = Array.isArray(value) ? [] : {};
+    if (counts.get(value) > 1) {
+        // later references to this object are written as references to its id
+        ids.set(value, ids.size);
+        if (Array.isArray(value)) {
+            // arrays can't hold an id, so shared arrays are wrapped
+            return {
+                [special.id]: ids.get(value),
+                [special.items]: value.map(item => encodeValue(item, counts, ids)),
+            };
+        }
+        encoded[special.id] = ids.get(value);
+    }
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; ++i) {
+            (encoded as any[]).push(encodeValue(value[i], counts, ids));
+        }
+        return encoded;
+    }
+    Object.keys(value).forEach((key) => {
+        encoded[(key.charAt(0) === "$") ? "$" + key : key] = encodeValue(value[key], counts, ids);
+    });
+    return encoded;
+}
+
+function decodeValue(value: any, objects: object[]): any {
+    if (isObject(value) === false) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => decodeValue(item, objects));
+    }
+    if (value.hasOwnProperty(special.sentinel)) {
+        if (sentinels.hasOwnProperty(value[special.sentinel]) === false) {
+            throw new Error(`unknown sentinel ${value[special.sentinel]}`);
+        }
+        return sentinels[value[special.sentinel]];
+    }
+    if (value.hasOwnProperty(special.number)) {
+        return (value[special.number] === "-0") ? -0 : Number(value[special.number]);
+    }
+    if (value.hasOwnProperty(special.undefined)) {
+        return undefined;
+    }
+    if (value.hasOwnProperty(special.ref)) {
+        if (value[special.ref] >= objects.length) {
+            throw new Error(`reference to unknown object ${value[special.ref]}`);
+        }
+        return objects[value[special.ref]];
+    }
+
+    const isArray = value.hasOwnProperty(special.items);
+    const decoded = isArray ? [] : {};
+    // registered before decoding what's inside so objects can refer back to themselves
+    if (value.hasOwnProperty(special.id)) {
+        objects[value[special.id]] = decoded;
+    }
+    if (isArray) {
+        value[special.items].forEach(item => (decoded as any[]).push(decodeValue(item, objects)));
+        return decoded;
+    }
+    Object.keys(value).forEach((key) => {
+        if (key !== special.id) {
+            decoded[(key.charAt(0) === "$") ? key.slice(1) : key] = decodeValue(value[key], objects);
+        }
+    });
+    return decoded;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Write a drawing to JSON text that deserialize turns back into exactly the same drawing.
+ * Unlike JSON.stringify, breakPoint and endPoint stay sentinels, every property of the points
+ * (such as traceOptions and t) is kept even if undefined or not a finite number, and points
+ * used in several places (like the first and last points of drawCircle) stay shared.
+ * @param {Drawing} drawing Draw points of a single path, or an object of named lists of draw points
+ * @returns {string} JSON text tagged with the format version
+ * @throws Error if the drawing holds functions or objects other than arrays and plain objects
+ */
+export function serialize(drawing: Drawing): string {
+    const counts = new Map<object, number>();
+    countReferences(drawing, counts);
+    return JSON.stringify({
+        format: formatName,
+        version: serializationVersion,
+        drawing: encodeValue(drawing, counts, new Map<object, number>()),
+    });
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Read a drawing written by serialize
+ * @param {string} text JSON text from serialize (of this or an earlier version)
+ * @returns {Drawing} Draw points of a single path, or an object of named lists of draw points
+ * @throws Error if the text isn't a serialized drawing or is of a newer version than supported
+ */
+export function deserialize(text: string): Drawing {
+    const parsed = JSON.parse(text);
+    if (isObject(parsed) === false || parsed.format !== formatName || parsed.hasOwnProperty("drawing") === false) {
+        throw new Error("not a serialized drawpoint drawing");
+    }
+    if (typeof parsed.version !== "number" || parsed.version > serializationVersion) {
+        throw new Error(`can't read drawings of version ${parsed.version}; ` +
+            `the newest supported is ${serializationVersion}`);
+    }
+    return decodeValue(parsed.drawing, []);
+}
@@ -0,0 +1,204 @@
+import {add, breakPoint, endPoint, diff, norm, getUnitVector, DrawPoint, Point} from "./point";
+import {getCubicControlPoints, getDerivativeOnCurve, getTangentAt} from "./curve";
+import {clone} from "./util";
+
+/**
+ * How smoothly two curves join: C0 only meet, G1 also leave in the same direction they arrive,
+ * and C1 also leave at the same speed (with respect to t) they arrive
+ */
+export type Continuity = "C0" | "G1" | "C1";
+
+export interface SmoothOptions {
+    // G1 only lines up the directions of curves where they join; C1 also matches their speed
+    continuity?: "G1" | "C1";
+    // indices of draw points where curves join at a corner that should be left alone
+    corners?: number[];
+    // joins that turn by more than this angle (in radians) are also left alone as corners
+    cornerAngle?: number;
+}
+
+export interface JoinContinuity {
+    // index of the draw point where the curves join
+    index: number;
+    continuity: Continuity;
+    // how much the direction of travel turns at the join, in radians within [0, PI]
+    angle: number;
+}
+
+/**
+ * Curve ending at index in the list of draw points
+ */
+interface Curve {
+    p1: DrawPoint;
+    p2: DrawPoint;
+    // index of p2
+    index: number;
+    // index of p1
+    startIndex: number;
+}
+
+/**
+ * Place where one curve ends and the next one starts
+ */
+interface Join {
+    before: Curve;
+    after: Curve;
+}
+
+/**
+ * Get where consecutive curves join in a list of draw points, including where subpaths that end
+ * on top of their start join back up with their first curve
+ */
+function getJoins(points: DrawPoint[]): Join[] {
+    const joins = [];
+    let curves: Curve[] = [];
+    const endSubpath = () => {
+        for (let i = 1; i < curves.length; ++i) {
+            joins.push({before: curves[i - 1], after: curves[i]});
+        }
+        const first = curves[0], last = curves[curves.length - 1];
+        if (curves.length > 1 && norm(diff(last.p2, first.p1)) < 1e-9) {
+            joins.push({before: last, after: first});
+        }
+        curves = [];
+    };
+
+    let pen = null;
+    let penIndex = -1;
+    points.forEach((p, index) => {
+        if (!p) {
+            return;
+        }
+        if ((p as object) === breakPoint) {
+            endSubpath();
+            pen = null;
+        } else if ((p as object) === endPoint) {
+            // anything drawn afterwards continues from the end, but isn't joined to the closed subpath
+            endSubpath();
+        } else if (p.hasOwnProperty("x")) {
+            if (pen !== null) {
+                curves.push({p1: pen, p2: p, index, startIndex: penIndex});
+            }
+            pen = p;
+            penIndex = index;
+        }
+    });
+    endSubpath();
+    return joins;
+}
+
+function isLine(p2: DrawPoint): boolean {
+    return !p2.cp1 && !p2.cp2;
+}
+
+/**
+ * Get how much the direction of travel turns from one vector to another, in [0, PI]
+ */
+function getTurn(from: Point, to: Point): number {
+    return Math.abs(Math.atan2(from.x * to.y - from.y * to.x, from.x * to.x + from.y * to.y));
+}
+
+function getJoinAngle({before, after}: Join): number {
+    return getTurn(getTangentAt(1, before.p1, before.p2), getTangentAt(0, after.p1, after.p2));
+}
+
+/**
+ * Move the handles on either side of a join so the curves leave in the direction they arrive.
+ * Both curves must be cubic curves or lines; lines are kept as they are, so curves joining a line
+ * follow its direction.
+ */
+function smoothJoin({before, after}: Join, continuity: "G1" | "C1") {
+    const at = before.p2;
+    const lineBefore = isLine(before.p2);
+    const lineAfter = isLine(after.p2);
+    if (lineBefore && lineAfter) {
+        return;
+    }
+    const tangentBefore = getTangentAt(1, before.p1, before.p2);
+    const tangentAfter = getTangentAt(0, after.p1, after.p2);
+    const direction = lineBefore ? tangentBefore : lineAfter ? tangentAfter : add(tangentBefore, tangentAfter);
+    // curves doubling back on themselves have no direction in between
+    if (norm(direction) < 1e-9) {
+        return;
+    }
+    const unitDirection = getUnitVector(direction);
+
+    // handles that are on top of their points still need a length to have a direction;
+    // take that of the handles on a straight curve
+    let lengthBefore = lineBefore ? norm(diff(before.p1, at)) :
+        norm(diff(before.p2.cp2, at)) || norm(diff(before.p1, at)) / 3;
+    let lengthAfter = lineAfter ? norm(diff(after.p1, after.p2)) :
+        norm(diff(after.p1, after.p2.cp1)) || norm(diff(after.p1, after.p2)) / 3;
+    if (continuity === "C1") {
+        // the speed of a line is its length and that of a cubic curve three times its handle
+        const speed = lineBefore ? lengthBefore : lineAfter ? lengthAfter : 3 * (lengthBefore + lengthAfter) / 2;
+        lengthBefore = lengthAfter = speed / 3;
+    }
+    if (!lineBefore) {
+        before.p2.cp2 = add(at, unitDirection, -lengthBefore);
+    }
+    if (!lineAfter) {
+        after.p2.cp1 = add(after.p1, unitDirection, lengthAfter);
+    }
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Adjust control points along a whole path so that neighbouring curves join smoothly, the way
+ * continueCurve continues a single curve. At every join, the handles on either side are turned
+ * to the direction halfway between them (G1), and with C1 also given the same length.
+ * Lines are kept straight, so curves joining a line follow its direction, and two lines meeting
+ * at an angle are left alone. Quadratic curves that join others become the equivalent cubic
+ * curves so that each end has its own handle. Subpaths whose last point is on top of their
+ * first (such as closed ones) are also smoothed where they close.
+ * @param {Object[]} points Ordered list of draw points as would be given to drawPoints
+ * @param {SmoothOptions} options
+ * @returns {Object[]} Smoothed draw points in the same places of the list; the given points are
+ * left untouched
+ */
+export function smoothPath(points: DrawPoint[], options: SmoothOptions = {}): DrawPoint[] {
+    const {continuity = "G1", corners = [], cornerAngle = Math.PI} = options;
+    const smoothed = clone(points);
+    const joins = getJoins(smoothed);
+
+    joins.forEach(({before, after}) => {
+        [before, after].forEach(({p1, p2}) => {
+            if (Boolean(p2.cp1) !== Boolean(p2.cp2)) {
+                [p2.cp1, p2.cp2] = getCubicControlPoints(p1, p2);
+            }
+        });
+    });
+    joins.forEach((join) => {
+        // a subpath that closes joins at both its first and last point
+        const atCorner = corners.indexOf(join.before.index) >= 0 || corners.indexOf(join.after.startIndex) >= 0;
+        if (atCorner === false && getJoinAngle(join) <= cornerAngle) {
+            smoothJoin(join, continuity);
+        }
+    });
+    return smoothed;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get how smoothly the curves of a path join; useful for finding kinks
+ * @param {Object[]} points Ordered list of draw points as would be given to drawPoints
+ * @param tolerance Largest angle (in radians) between directions, and largest difference between
+ * speeds relative to the faster one, that still counts as matching
+ * @returns {JoinContinuity[]} Every join in the order they are drawn; where subpaths whose last
+ * point is on top of their first join back up, index is that of the last point
+ */
+export function analyzeContinuity(points: DrawPoint[], tolerance: number = 1e-6): JoinContinuity[] {
+    return getJoins(points).map((join) => {
+        const {before, after} = join;
+        const angle = getJoinAngle(join);
+        const speedBefore = getDerivativeOnCurve(1, before.p1, before.p2);
+        const speedAfter = getDerivativeOnCurve(0, after.p1, after.p2);
+        const speedDifference = norm(diff(speedBefore, speedAfter));
+        let continuity: Continuity = "C0";
+        if (angle <= tolerance) {
+            continuity = (speedDifference <= tolerance * Math.max(norm(speedBefore), norm(speedAfter))) ?
+                "C1" : "G1";
+        }
+        return {index: before.index, continuity, angle};
+    });
+}
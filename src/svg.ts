@@ -0,0 +1,312 @@
+import {breakPoint, endPoint, point, scale, extractPoint, DrawPoint, Point} from "./point";
+import {continueCurve, getArcCurves} from "./curve";
+
+function formatNumber(num: number): string {
+    // avoid printing "-0"
+    return (num === 0) ? "0" : num.toString();
+}
+
+function formatPoints(...pts: Point[]): string {
+    return pts.map(pt => formatNumber(pt.x) + " " + formatNumber(pt.y)).join(" ");
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Get the SVG path data (the "d" attribute of a <path>) equivalent to drawing the
+ * list of drawpoints with drawPoints. Lines become L, points with only one control point
+ * become Q, points with both control points become C, breakPoint starts a new subpath
+ * with M, and endPoint closes the current subpath with Z.
+ * @param {Object[]} points Ordered list of draw points, each with x and y
+ * @returns {string} SVG path data
+ */
+export function toSVGPath(...points): string {
+    const commands = [];
+    let i = 0;
+    // unlike a canvas there is no previous location to continue from, so start at
+    // the first point that exists
+    while (i < points.length && (!points[i] || points[i].hasOwnProperty("x") === false)) {
+        ++i;
+    }
+    if (i === points.length) {
+        return "";
+    }
+    commands.push("M " + formatPoints(points[i]));
+
+    for (++i; i < points.length; ++i) {
+        let p = points[i];
+        if (!p) {
+            continue;
+        }
+        if (p === breakPoint) {
+            ++i;
+            if (i < points.length && points[i]) {
+                p = points[i];
+                commands.push("M " + formatPoints(p));
+            }
+        } else if (p === endPoint) {
+            commands.push("Z");
+        } else if (p.cp2 && p.cp1) {
+            commands.push("C " + formatPoints(p.cp1, p.cp2, p));
+        } else if (p.cp1) {
+            commands.push("Q " + formatPoints(p.cp1, p));
+        } else if (p.cp2) {
+            commands.push("Q " + formatPoints(p.cp2, p));
+        } else if (p.hasOwnProperty("x")) {
+            commands.push("L " + formatPoints(p));
+        }
+    }
+    return commands.join(" ");
+}
+
+/**
+ * Number of parameters each SVG path command consumes per repetition
+ */
+const numParameters = {m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0};
+
+/**
+ * Read the parameters of SVG path data one at a time
+ * @param d SVG path data
+ */
+function pathDataScanner(d: string) {
+    const numberPattern = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+    let i = 0;
+
+    function skipSeparators() {
+        while (i < d.length && /[\s,]/.test(d[i])) {
+            ++i;
+        }
+    }
+
+    return {
+        done(): boolean {
+            skipSeparators();
+            return i >= d.length;
+        },
+        /**
+         * Read a command letter if the next token is one, otherwise null
+         */
+        command(): string {
+            skipSeparators();
+            if (i < d.length && numParameters.hasOwnProperty(d[i].toLowerCase())) {
+                return d[i++];
+            }
+            return null;
+        },
+        /**
+         * Read a number, or null if the next token is not a number
+         */
+        number(): number {
+            skipSeparators();
+            const match = numberPattern.exec(d.slice(i));
+            if (match === null) {
+                return null;
+            }
+            i += match[0].length;
+            return parseFloat(match[0]);
+        },
+        /**
+         * Read an arc flag, which may not be separated from what follows it
+         */
+        flag(): number {
+            skipSeparators();
+            if (d[i] === "0" || d[i] === "1") {
+                return parseInt(d[i++], 10);
+            }
+            return null;
+        },
+    };
+}
+
+/**
+ * Convert an SVG endpoint parameterized arc to center parameterization and get its curves.
+ * See https://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter
+ */
+function svgArcToCurves(p1: Point, rx: number, ry: number, xAxisRotation: number,
+                        largeArc: number, sweep: number, p2: Point): DrawPoint[] {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (p1.x === p2.x && p1.y === p2.y) {
+        return [];
+    }
+    if (rx === 0 || ry === 0) {
+        return [point(p2.x, p2.y)];
+    }
+
+    const rotation = xAxisRotation * Math.PI / 180;
+    const cosRot = Math.cos(rotation), sinRot = Math.sin(rotation);
+    // midpoint between end points in the ellipse's rotated frame
+    const dx = (p1.x - p2.x) / 2, dy = (p1.y - p2.y) / 2;
+    const x1 = cosRot * dx + sinRot * dy;
+    const y1 = -sinRot * dx + cosRot * dy;
+
+    // scale up radii too small to reach between the end points
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const rx2 = rx * rx, ry2 = ry * ry;
+    const numerator = rx2 * ry2 - rx2 * y1 * y1 - ry2 * x1 * x1;
+    const denominator = rx2 * y1 * y1 + ry2 * x1 * x1;
+    let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) {
+        coefficient = -coefficient;
+    }
+    const cx1 = coefficient * rx * y1 / ry;
+    const cy1 = -coefficient * ry * x1 / rx;
+    const center = point(cosRot * cx1 - sinRot * cy1 + (p1.x + p2.x) / 2,
+        sinRot * cx1 + cosRot * cy1 + (p1.y + p2.y) / 2);
+
+    const startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    const endAngle = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+    let sweepAngle = endAngle - startAngle;
+    if (sweep && sweepAngle < 0) {
+        sweepAngle += 2 * Math.PI;
+    } else if (!sweep && sweepAngle > 0) {
+        sweepAngle -= 2 * Math.PI;
+    }
+
+    const curves = getArcCurves(center, rx, ry, startAngle, sweepAngle, rotation);
+    // land exactly on the requested end point
+    curves[curves.length - 1].x = p2.x;
+    curves[curves.length - 1].y = p2.y;
+    return curves;
+}
+
+// noinspection JSUnusedGlobalSymbols
+/**
+ * Parse SVG path data (the "d" attribute of a <path>) into a list of drawpoints that can be
+ * given to drawPoints. Subpaths after the first are started with breakPoint and closed
+ * subpaths end with endPoint. Smooth curves (S and T) reflect the previous control point
+ * and arcs are converted to cubic curves. Like SVG renderers, parsing stops at the first
+ * error and the path up to that point is returned.
+ * @param {string} d SVG path data
+ * @returns {Object[]} Ordered list of draw points
+ */
+export function parseSVGPath(d: string): DrawPoint[] {
+    const points = [];
+    const scanner = pathDataScanner(d);
+    let current = point(0, 0);
+    let subpathStart = current;
+    // the last draw point and the point it started from, for reflecting control points
+    let last: DrawPoint = null;
+    let lastStart: DrawPoint = null;
+    let lastCommand = null;
+
+    function addPoint(p: DrawPoint) {
+        points.push(p);
+        lastStart = current;
+        last = p;
+        current = point(p.x, p.y);
+    }
+
+    parsing:
+    while (scanner.done() === false) {
+        const command = scanner.command();
+        if (command === null) {
+            break;
+        }
+        const type = command.toLowerCase();
+        // path data has to start with a move
+        if (points.length === 0 && type !== "m") {
+            break;
+        }
+        const relative = command !== command.toUpperCase();
+        let firstRepetition = true;
+
+        // commands can be implicitly repeated by continuing to give it parameters
+        do {
+            const params = [];
+            for (let i = 0; i < numParameters[type]; ++i) {
+                // large arc and sweep flags
+                const param = (type === "a" && (i === 3 || i === 4)) ? scanner.flag() : scanner.number();
+                if (param === null) {
+                    // running out of parameters at the start of a repetition ends the command
+                    if (i === 0 && firstRepetition === false) {
+                        break;
+                    }
+                    break parsing;
+                }
+                params.push(param);
+            }
+            if (params.length < numParameters[type]) {
+                break;
+            }
+
+            const offset = relative ? current : point(0, 0);
+            const at = (x, y) => point(x + offset.x, y + offset.y);
+
+            switch (type) {
+                case "m": {
+                    const p = at(params[0], params[1]);
+                    if (firstRepetition) {
+                        if (points.length) {
+                            points.push(breakPoint);
+                        }
+                        points.push(p);
+                        last = null;
+                        current = subpathStart = extractPoint(p);
+                    } else {
+                        // extra coordinates after a move are implicit lines
+                        addPoint(p);
+                    }
+                    break;
+                }
+                case "l":
+                    addPoint(at(params[0], params[1]));
+                    break;
+                case "h":
+                    addPoint(point(params[0] + offset.x, current.y));
+                    break;
+                case "v":
+                    addPoint(point(current.x, params[0] + offset.y));
+                    break;
+                case "c": {
+                    const p = at(params[4], params[5]) as DrawPoint;
+                    p.cp1 = at(params[0], params[1]);
+                    p.cp2 = at(params[2], params[3]);
+                    addPoint(p);
+                    break;
+                }
+                case "s": {
+                    const p = at(params[2], params[3]) as DrawPoint;
+                    p.cp1 = (lastCommand === "c" || lastCommand === "s") ?
+                        continueCurve(lastStart, last) : extractPoint(current);
+                    p.cp2 = at(params[0], params[1]);
+                    addPoint(p);
+                    break;
+                }
+                case "q": {
+                    const p = at(params[2], params[3]) as DrawPoint;
+                    p.cp1 = at(params[0], params[1]);
+                    addPoint(p);
+                    break;
+                }
+                case "t": {
+                    const p = at(params[0], params[1]) as DrawPoint;
+                    p.cp1 = (lastCommand === "q" || lastCommand === "t") ?
+                        scale(last.cp1, -1, current) : extractPoint(current);
+                    addPoint(p);
+                    break;
+                }
+                case "a": {
+                    const end = at(params[5], params[6]);
+                    svgArcToCurves(current, params[0], params[1], params[2], params[3], params[4], end)
+                        .forEach(addPoint);
+                    break;
+                }
+                case "z":
+                    if (current.x !== subpathStart.x || current.y !== subpathStart.y) {
+                        addPoint(point(subpathStart.x, subpathStart.y));
+                    }
+                    points.push(endPoint);
+                    current = subpathStart;
+                    break;
+            }
+            lastCommand = type;
+            firstRepetition = false;
+        } while (type !== "z");
+    }
+    return points;
+}
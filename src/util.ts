@@ -1,14 +1,42 @@
 /**
  * Created by johnson on 10.05.17.
  */
-import {DrawPoint} from "./point";
+import {breakPoint, endPoint, DrawPoint} from "./point";
 
+/**
+ * Deep copy arrays and plain objects, such as draw points and lists of them.
+ * breakPoint and endPoint are kept as they are since they are recognized by identity.
+ * As when copying through JSON, properties that are undefined are left out.
+ * @param obj
+ * @returns {*} The copy
+ * @throws TypeError if obj contains itself
+ */
 export function clone(obj) {
-    if (obj) {
-        return JSON.parse(JSON.stringify(obj));
-    } else {
-        return obj;
-    }
+    // objects currently being copied, outermost first
+    const copying = [];
+    const copyValue = (value) => {
+        if (!value || typeof value !== "object" || value === breakPoint || value === endPoint) {
+            return value;
+        }
+        if (copying.indexOf(value) >= 0) {
+            throw new TypeError("can't clone an object that contains itself");
+        }
+        copying.push(value);
+        let copy;
+        if (Array.isArray(value)) {
+            copy = value.map(copyValue);
+        } else {
+            copy = {};
+            Object.keys(value).forEach((key) => {
+                if (value[key] !== undefined) {
+                    copy[key] = copyValue(value[key]);
+                }
+            });
+        }
+        copying.pop();
+        return copy;
+    };
+    return copyValue(obj);
 }
 
 // noinspection JSUnusedGlobalSymbols
@@ -24,3 +52,18 @@ export function fillerDefinition(ex, drawPointName, definition: DrawPoint | {} =
     }
     ex[drawPointName] = definition;
 }
+
+/**
+ * Separate an options object passed after a variable number of draw points.
+ * The last argument is taken as options if it is an object that is not a draw point or sentinel.
+ * @param args Draw points, optionally followed by options
+ * @returns {[Object[], Object]} The draw points and the options, which are empty if not given
+ */
+export function splitTrailingOptions(args: any[]): [any[], any] {
+    const last = args[args.length - 1];
+    if (last && typeof last === "object" && last.hasOwnProperty("x") === false &&
+        last !== breakPoint && last !== endPoint) {
+        return [args.slice(0, -1), last];
+    }
+    return [args, {}];
+}
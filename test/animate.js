@@ -0,0 +1,124 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+describe("easings", function () {
+    it("should start at 0 and end at 1", function () {
+        Object.keys(dp.easings).forEach((name) => {
+            c.assertCloseTo(dp.easings[name](0), 0);
+            c.assertCloseTo(dp.easings[name](1), 1);
+        });
+    });
+    it("should be symmetric for ease in-out", function () {
+        ["easeInOutQuad", "easeInOutCubic", "easeInOutSine"].forEach((name) => {
+            c.assertCloseTo(dp.easings[name](0.5), 0.5);
+            c.assertCloseTo(dp.easings[name](0.2), 1 - dp.easings[name](0.8));
+        });
+    });
+});
+
+describe("Timeline", function () {
+    const start = dp.point(0, 0);
+    const curveA = dp.point(10, 0);
+    curveA.cp1 = dp.point(0, 10);
+    curveA.cp2 = dp.point(10, 10);
+    const curveB = dp.point(20, 0);
+    curveB.cp1 = dp.point(0, -10);
+    curveB.cp2 = dp.point(20, -10);
+    const keyframes = [
+        {time: 1, points: [start, curveA, dp.endPoint]},
+        {time: 3, points: [start, curveB, dp.endPoint]},
+    ];
+
+    it("should blend points and control points between keyframes", function () {
+        const timeline = new dp.Timeline(keyframes);
+        const sampled = timeline.sample(1.5);
+        assert.strictEqual(sampled[2], dp.endPoint);
+        assert.deepStrictEqual(sampled[1], dp.transformCurve(0.25, start, curveA, curveB));
+    });
+    it("should hold the first and last keyframes outside of the timeline", function () {
+        const timeline = new dp.Timeline(keyframes);
+        assert.deepStrictEqual(timeline.sample(-5), keyframes[0].points);
+        assert.deepStrictEqual(timeline.sample(3), keyframes[1].points);
+        assert.deepStrictEqual(timeline.sample(100), keyframes[1].points);
+        assert.strictEqual(timeline.sample(100)[2], dp.endPoint);
+        assert.notStrictEqual(timeline.sample(100)[1], curveB);
+    });
+    it("should sort keyframes and go through each of them", function () {
+        const middle = dp.point(10, 10);
+        const timeline = new dp.Timeline([
+            {time: 2, points: [dp.point(10, 0)]},
+            {time: 0, points: [dp.point(0, 0)]},
+            {time: 1, points: [middle]},
+        ]);
+        assert.strictEqual(timeline.duration, 2);
+        assert.deepStrictEqual(timeline.sample(1), [middle]);
+        assert.deepStrictEqual(timeline.sample(0.5), [dp.point(5, 5)]);
+        assert.deepStrictEqual(timeline.sample(1.5), [dp.point(10, 5)]);
+    });
+    it("should ease transitions by name or function", function () {
+        const points = t => new dp.Timeline([
+            {time: 0, points: [dp.point(0, 0)], easing: t},
+            {time: 1, points: [dp.point(100, 0)]},
+        ]);
+        c.assertCloseTo(points("easeInQuad").sample(0.5)[0].x, 25);
+        c.assertCloseTo(points(t => t * t * t).sample(0.5)[0].x, 12.5);
+        const timelineEasing = new dp.Timeline([
+            {time: 0, points: [dp.point(0, 0)]},
+            {time: 1, points: [dp.point(100, 0)]},
+        ], {easing: "easeOutQuad"});
+        c.assertCloseTo(timelineEasing.sample(0.5)[0].x, 75);
+        assert.throws(() => points("bounce").sample(0.5));
+    });
+    it("should ease individual points differently", function () {
+        const timeline = new dp.Timeline([
+            {time: 0, points: [dp.point(0, 0), dp.point(0, 10)], pointEasings: {1: "easeInQuad"}},
+            {time: 1, points: [dp.point(100, 0), dp.point(100, 10)]},
+        ]);
+        const [p1, p2] = timeline.sample(0.5);
+        c.assertCloseTo(p1.x, 50);
+        c.assertCloseTo(p2.x, 25);
+    });
+    it("should loop", function () {
+        const timeline = new dp.Timeline([
+            {time: 0, points: [dp.point(0, 0)]},
+            {time: 2, points: [dp.point(10, 0)]},
+        ], {loop: true});
+        assert.deepStrictEqual(timeline.sample(2.5), timeline.sample(0.5));
+        assert.deepStrictEqual(timeline.sample(-1.5), timeline.sample(0.5));
+    });
+    it("should blend lines into curves", function () {
+        const line = dp.point(10, 0);
+        const timeline = new dp.Timeline([
+            {time: 0, points: [start, line]},
+            {time: 1, points: [start, curveA]},
+        ]);
+        c.assertDeepCloseTo(timeline.sample(0.5)[1], dp.transformCurve(0.5, start, line, curveA));
+    });
+    it("should blend control points that only one keyframe has", function () {
+        const curved = dp.point(0, 0);
+        curved.cp1 = dp.point(0, 10);
+        const line = dp.point(10, 0);
+        const timeline = new dp.Timeline([
+            {time: 0, points: [curved, line]},
+            {time: 1, points: [dp.point(0, 0), curveA]},
+        ]);
+        // the first point has no curve leading to it, so its control point heads to the point itself
+        c.assertDeepCloseTo(timeline.sample(0.5)[0].cp1, dp.point(0, 5));
+        c.assertDeepCloseTo(timeline.sample(1)[0], dp.point(0, 0));
+        // the line and the curve become cubic curves and are blended as such
+        const [cp1, cp2] = dp.getCubicControlPoints(start, line);
+        const blended = timeline.sample(0.25)[1];
+        c.assertDeepCloseTo(blended.cp1, dp.getPointOnLine(0.25, cp1, curveA.cp1));
+        c.assertDeepCloseTo(blended.cp2, dp.getPointOnLine(0.25, cp2, curveA.cp2));
+    });
+    it("should morph keyframes with different points", function () {
+        const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+        const circle = dp.drawCircle(dp.point(5, 5), 5);
+        const timeline = new dp.Timeline([{time: 0, points: square}, {time: 1, points: circle}]);
+        assert.deepStrictEqual(timeline.sample(0.4), dp.morphPath(0.4, square, circle));
+    });
+    it("should need a keyframe", function () {
+        assert.throws(() => new dp.Timeline([]));
+    });
+});
@@ -0,0 +1,139 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+function rect(x, y, width, height) {
+    return [dp.point(x, y), dp.point(x + width, y), dp.point(x + width, y + height), dp.point(x, y + height),
+        dp.endPoint];
+}
+
+// get the area filled with the nonzero rule by sampling a grid
+function sampleArea(points, box, step = 0.5) {
+    let area = 0;
+    for (let x = box.min.x + step / 2; x < box.max.x; x += step) {
+        for (let y = box.min.y + step / 2; y < box.max.y; y += step) {
+            if (dp.isPointInPath(dp.point(x, y), ...points)) {
+                area += step * step;
+            }
+        }
+    }
+    return area;
+}
+
+const box = {min: dp.point(-10, -10), max: dp.point(30, 30)};
+
+function assertSameFill(actual, expectedInside) {
+    for (let x = -9.75; x < 30; x += 1.5) {
+        for (let y = -9.75; y < 30; y += 1.5) {
+            const pt = dp.point(x, y);
+            assert.strictEqual(dp.isPointInPath(pt, ...actual), expectedInside(pt), `at ${x}, ${y}`);
+        }
+    }
+}
+
+describe("#combinePaths", function () {
+    const a = rect(0, 0, 10, 10);
+    const b = rect(5, 5, 10, 10);
+    const inA = pt => dp.isPointInPath(pt, ...a);
+    const inB = pt => dp.isPointInPath(pt, ...b);
+
+    it("should fill the same area as the operation on overlapping shapes", function () {
+        assertSameFill(dp.combinePaths("union", a, b), pt => inA(pt) || inB(pt));
+        assertSameFill(dp.combinePaths("intersection", a, b), pt => inA(pt) && inB(pt));
+        assertSameFill(dp.combinePaths("difference", a, b), pt => inA(pt) && !inB(pt));
+        assertSameFill(dp.combinePaths("xor", a, b), pt => inA(pt) !== inB(pt));
+    });
+    it("should give a single outline for the union of overlapping shapes", function () {
+        const union = dp.combinePaths("union", a, b);
+        const subpaths = dp.getSubpaths(...union);
+        assert.strictEqual(subpaths.length, 1);
+        assert.strictEqual(subpaths[0].closed, true);
+        c.assertCloseTo(dp.getPathLength(...union), 60, 1e-9);
+    });
+    it("should keep curves as curves", function () {
+        const circle = dp.drawCircle(dp.point(10, 10), 6);
+        const union = dp.combinePaths("union", a, circle);
+        assert(union.filter(p => p.cp1 && p.cp2).length >= 3);
+        const inCircle = pt => dp.isPointInPath(pt, ...circle);
+        assertSameFill(union, pt => inA(pt) || inCircle(pt));
+        assertSameFill(dp.combinePaths("difference", a, circle), pt => inA(pt) && !inCircle(pt));
+        c.assertCloseTo(sampleArea(dp.combinePaths("intersection", a, circle), box), 36 * Math.PI / 4, 1);
+    });
+    it("should not care which way shapes wind", function () {
+        const reversedB = dp.reverseSubpath({points: b.slice(0, 4), closed: true}).points.concat([dp.endPoint]);
+        assertSameFill(dp.combinePaths("difference", a, reversedB), pt => inA(pt) && !inB(pt));
+        assertSameFill(dp.combinePaths("union", a, reversedB), pt => inA(pt) || inB(pt));
+    });
+    it("should cut out holes from shapes that are inside", function () {
+        const inner = rect(3, 3, 4, 4);
+        const inInner = pt => dp.isPointInPath(pt, ...inner);
+        const difference = dp.combinePaths("difference", a, inner);
+        assert.strictEqual(dp.getSubpaths(...difference).length, 2);
+        assertSameFill(difference, pt => inA(pt) && !inInner(pt));
+        assertSameFill(dp.combinePaths("union", a, inner), inA);
+        assertSameFill(dp.combinePaths("intersection", a, inner), inInner);
+    });
+    it("should handle shapes that do not overlap", function () {
+        const apart = rect(20, 20, 5, 5);
+        const inApart = pt => dp.isPointInPath(pt, ...apart);
+        assertSameFill(dp.combinePaths("union", a, apart), pt => inA(pt) || inApart(pt));
+        assert.deepStrictEqual(dp.combinePaths("intersection", a, apart), []);
+        assertSameFill(dp.combinePaths("difference", a, apart), inA);
+    });
+    it("should merge shapes sharing an edge", function () {
+        const beside = rect(10, 2, 5, 5);
+        const union = dp.combinePaths("union", a, beside);
+        assert.strictEqual(dp.getSubpaths(...union).length, 1);
+        const inBeside = pt => dp.isPointInPath(pt, ...beside);
+        assertSameFill(union, pt => inA(pt) || inBeside(pt));
+        assertSameFill(dp.combinePaths("difference", a, beside), inA);
+    });
+    it("should keep one copy of the outline of identical shapes", function () {
+        [a, dp.drawCircle(dp.point(5, 5), 6)].forEach((shape) => {
+            const same = dp.clone(shape);
+            const inShape = pt => dp.isPointInPath(pt, ...shape);
+            const length = dp.getPathLength(...shape);
+            ["union", "intersection"].forEach((operation) => {
+                const combined = dp.combinePaths(operation, shape, same);
+                assert.strictEqual(dp.getSubpaths(...combined).length, 1);
+                assert(combined.length <= shape.length + 2, `${operation} gave ${combined.length} points`);
+                c.assertCloseTo(dp.getPathLength(...combined), length, 1e-6);
+                assertSameFill(combined, inShape);
+            });
+            assert.deepStrictEqual(dp.combinePaths("difference", shape, same), []);
+            assert.deepStrictEqual(dp.combinePaths("xor", shape, same), []);
+        });
+    });
+    it("should handle edges shared in the same direction", function () {
+        const half = rect(0, 0, 5, 10);
+        const inHalf = pt => dp.isPointInPath(pt, ...half);
+        const union = dp.combinePaths("union", a, half);
+        assert.strictEqual(dp.getSubpaths(...union).length, 1);
+        c.assertCloseTo(dp.getPathLength(...union), 40, 1e-6);
+        assertSameFill(union, inA);
+        assertSameFill(dp.combinePaths("intersection", a, half), inHalf);
+        assertSameFill(dp.combinePaths("difference", a, half), pt => inA(pt) && !inHalf(pt));
+        assertSameFill(dp.combinePaths("xor", a, half), pt => inA(pt) !== inHalf(pt));
+    });
+    it("should drop edges shared in opposite directions from the union", function () {
+        const beside = rect(10, 0, 10, 10);
+        const union = dp.combinePaths("union", a, beside);
+        assert.strictEqual(dp.getSubpaths(...union).length, 1);
+        c.assertCloseTo(dp.getPathLength(...union), 60, 1e-6);
+        assertSameFill(dp.combinePaths("xor", a, beside), pt => inA(pt) || dp.isPointInPath(pt, ...beside));
+        assert.deepStrictEqual(dp.combinePaths("intersection", a, beside), []);
+    });
+    it("should give the other shape when one is empty", function () {
+        assertSameFill(dp.combinePaths("union", a, []), inA);
+        assert.deepStrictEqual(dp.combinePaths("intersection", [], a), []);
+        assertSameFill(dp.combinePaths("difference", a, []), inA);
+    });
+    it("should ignore subpaths of a single point", function () {
+        const lone = [dp.point(1, 1)];
+        const trailing = a.concat([dp.breakPoint, dp.point(50, 50)]);
+        assertSameFill(dp.combinePaths("union", lone, b), inB);
+        assert.deepStrictEqual(dp.combinePaths("intersection", b, lone), []);
+        assertSameFill(dp.combinePaths("union", trailing, b), pt => inA(pt) || inB(pt));
+        assertSameFill(dp.combinePaths("difference", b, trailing), pt => inB(pt) && !inA(pt));
+    });
+});
@@ -318,6 +318,53 @@ describe("#interpolateCurve", function () {
     });
 
 
+    describe("degenerate curves", function () {
+        it("should interpolate cubic curves with evenly spaced control points as lines", function () {
+            const start = dp.point(0, 0);
+            const end = dp.point(30, 60);
+            end.cp1 = dp.point(10, 20);
+            end.cp2 = dp.point(20, 40);
+            const points = dp.interpolateCurve(start, end, dp.point(12, null));
+            assert.strictEqual(points.length, 1);
+            c.assertCloseTo(points[0].t, 0.4);
+            c.assertCloseTo(points[0].y, 24);
+        });
+        it("should interpolate cubic curves that are really quadratic curves", function () {
+            const start = dp.point(0, 0);
+            const end = dp.point(20, 0);
+            const quadratic = dp.point(10, 30);
+            // degree elevation of the quadratic curve with control point at quadratic
+            end.cp1 = dp.add(start, dp.diff(start, quadratic), 2 / 3);
+            end.cp2 = dp.add(end, dp.diff(end, quadratic), 2 / 3);
+            const points = dp.interpolateCurve(start, end, dp.point(null, 7.5));
+            assert.strictEqual(points.length, 2);
+            c.assertDeepCloseTo(points.map(p => p.t), [(1 - Math.sqrt(0.5)) / 2, (1 + Math.sqrt(0.5)) / 2]);
+            points.forEach((p) => {
+                assert(!isNaN(p.t) && !isNaN(p.x));
+                c.assertCloseTo(p.y, 7.5);
+            });
+        });
+        it("should not give NaN for curves with coincident points", function () {
+            const start = dp.point(5, 5);
+            const end = dp.point(5, 5);
+            end.cp1 = dp.point(5, 5);
+            end.cp2 = dp.point(5, 5);
+            assert.strictEqual(dp.interpolateCurve(start, end, dp.point(5, null)).length, 0);
+            assert.strictEqual(dp.interpolateCurve(start, end, dp.point(null, 6)).length, 0);
+        });
+        it("should find the ends of curves", function () {
+            const start = dp.point(0.1, 0.3);
+            const end = dp.point(0.7, 0.2);
+            end.cp1 = dp.point(0.3, 0.9);
+            end.cp2 = dp.point(0.3, 0.9);
+            const atStart = dp.interpolateCurve(start, end, dp.point(0.1, null));
+            assert(atStart.some(p => c.closeTo(p.t, 0, 1e-12)), "start not found");
+            const atEnd = dp.interpolateCurve(start, end, dp.point(0.7, null));
+            assert(atEnd.some(p => c.closeTo(p.t, 1, 1e-12)), "end not found");
+        });
+    });
+
+
     describe("nominal cases (hard coded/hand calculated)", function () {
         const ts = [0.1, 0.5, 0.7, 0.9];
         curves.forEach((p2, degree) => {
@@ -421,3 +468,366 @@ describe("#transformCurve", function () {
         });
     });
 });
+
+describe("#getArcCurves", function () {
+    const center = c.getRandomPoint();
+    const rx = c.randInt(1, 50);
+    const ry = c.randInt(1, 50);
+    const rotation = c.rand(-3, 3);
+    const sweeps = [0.3, -1, Math.PI / 2, Math.PI, -2 * Math.PI];
+    it("should use at most a quarter turn per curve", function () {
+        sweeps.forEach((sweep) => {
+            const curves = dp.getArcCurves(center, rx, ry, 0, sweep, rotation);
+            assert.strictEqual(curves.length, Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2))));
+        });
+    });
+    it("should stay on the ellipse", function () {
+        // circle so the distance from center is constant
+        sweeps.forEach((sweep) => {
+            const start = c.rand(-3, 3);
+            let p1 = dp.add(center, dp.point(Math.cos(start), Math.sin(start)), rx);
+            dp.getArcCurves(center, rx, rx, start, sweep).forEach((p2) => {
+                [0, 0.3, 0.5, 1].forEach((t) => {
+                    const pt = dp.getPointOnCurve(t, p1, p2);
+                    c.assertCloseTo(dp.norm(dp.diff(center, pt)), rx, rx * 0.001);
+                });
+                p1 = p2;
+            });
+        });
+    });
+});
+
+describe("#getCurveLength", function () {
+    const [pLinear, pQuadratic, pCubic] = getRandomCurves();
+    it("should give the distance between end points for lines", function () {
+        c.assertCloseTo(dp.getCurveLength(p1, pLinear), dp.norm(dp.diff(p1, pLinear)));
+        c.assertCloseTo(dp.getCurveLength(p1, pLinear, 0.5), dp.norm(dp.diff(p1, pLinear)) / 2);
+    });
+    it("should give the same length for curves with control points along the line", function () {
+        const pLinearQuadratic = dp.elevateDegree(p1, pLinear);
+        const pLinearCubic = dp.elevateDegree(p1, pLinearQuadratic);
+        const length = dp.getCurveLength(p1, pLinear);
+        c.assertCloseTo(dp.getCurveLength(p1, pLinearQuadratic), length, 1e-8);
+        c.assertCloseTo(dp.getCurveLength(p1, pLinearCubic), length, 1e-8);
+    });
+    it("should give the same length after raising degree", function () {
+        c.assertCloseTo(dp.getCurveLength(p1, dp.elevateDegree(p1, pQuadratic)),
+            dp.getCurveLength(p1, pQuadratic), 1e-8);
+    });
+    it("should approximate the length of a circular arc", function () {
+        const r = c.randInt(1, 100);
+        const [quarter] = dp.getArcCurves(dp.origin, r, r, 0, Math.PI / 2);
+        c.assertCloseTo(dp.getCurveLength(dp.point(r, 0), quarter), Math.PI * r / 2, r * 0.001);
+    });
+    it("should be the sum of the lengths of the split curves", function () {
+        [pQuadratic, pCubic].forEach((p2) => {
+            const sp = dp.splitCurve(0.3, p1, dp.clone(p2));
+            c.assertCloseTo(dp.getCurveLength(sp.left.p1, sp.left.p2) +
+                dp.getCurveLength(sp.right.p1, sp.right.p2), dp.getCurveLength(p1, p2), 1e-8);
+            c.assertCloseTo(dp.getCurveLength(sp.left.p1, sp.left.p2),
+                dp.getCurveLength(p1, p2, 0.3), 1e-8);
+        });
+    });
+});
+
+describe("#getTAtLength", function () {
+    const curves = getRandomCurves();
+    it("should give 0 and 1 at the ends", function () {
+        curves.forEach((p2) => {
+            assert.strictEqual(dp.getTAtLength(0, p1, p2), 0);
+            assert.strictEqual(dp.getTAtLength(dp.getCurveLength(p1, p2), p1, p2), 1);
+            assert.strictEqual(dp.getTAtLength(-5, p1, p2), 0);
+            assert.strictEqual(dp.getTAtLength(1e6, p1, p2), 1);
+        });
+    });
+    it("should invert getCurveLength", function () {
+        curves.forEach((p2) => {
+            [0.1, 0.25, 0.5, 0.9].forEach((t) => {
+                const length = dp.getCurveLength(p1, p2, t);
+                c.assertCloseTo(dp.getCurveLength(p1, p2, dp.getTAtLength(length, p1, p2)),
+                    length, 1e-6);
+            });
+        });
+    });
+});
+
+describe("#getCurveBoundingBox", function () {
+    const curves = getRandomCurves();
+    function assertContainsCurve(box, p1, p2) {
+        for (let t = 0; t <= 1; t += 0.01) {
+            const pt = dp.getPointOnCurve(t, p1, p2);
+            assert(pt.x >= box.min.x - 1e-9 && pt.x <= box.max.x + 1e-9, `${pt.x} within box`);
+            assert(pt.y >= box.min.y - 1e-9 && pt.y <= box.max.y + 1e-9, `${pt.y} within box`);
+        }
+    }
+    it("should contain the whole curve", function () {
+        curves.forEach(p2 => assertContainsCurve(dp.getCurveBoundingBox(p1, p2), p1, p2));
+    });
+    it("should be spanned by the end points for lines", function () {
+        const box = dp.getCurveBoundingBox(dp.point(5, -3), dp.point(-2, 8));
+        assert.deepStrictEqual(box, {min: dp.point(-2, -3), max: dp.point(5, 8)});
+    });
+    it("should touch the curve's extrema rather than the control points", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(5, 10);
+        // quadratic peaks at half the control point's height
+        c.assertDeepCloseTo(dp.getCurveBoundingBox(dp.origin, p2),
+            {min: dp.point(0, 0), max: dp.point(10, 5)});
+
+        const p3 = dp.point(10, 0);
+        p3.cp1 = dp.point(0, 10);
+        p3.cp2 = dp.point(10, 10);
+        // cubic peaks at 3/4 of the control points' height
+        c.assertDeepCloseTo(dp.getCurveBoundingBox(dp.origin, p3),
+            {min: dp.point(0, 0), max: dp.point(10, 7.5)});
+    });
+    it("should handle cubics whose derivative is only linear", function () {
+        const p2 = dp.elevateDegree(dp.origin, Object.assign(dp.point(10, 0), {cp1: dp.point(5, 10)}));
+        c.assertDeepCloseTo(dp.getCurveBoundingBox(dp.origin, p2),
+            {min: dp.point(0, 0), max: dp.point(10, 5)});
+    });
+});
+
+describe("#intersectCurveWithLine", function () {
+    const curves = getRandomCurves();
+    function assertOnBoth(intersection, p1, p2, l1, l2) {
+        c.assertDeepCloseTo(dp.getPointOnCurve(intersection.t1, p1, p2), dp.point(intersection.x, intersection.y), 1e-6);
+        c.assertDeepCloseTo(dp.getPointOnLine(intersection.t2, l1, l2), dp.point(intersection.x, intersection.y), 1e-6);
+    }
+    it("should find points on the curve through any line crossing it", function () {
+        curves.forEach((p2) => {
+            [0.2, 0.5, 0.7].forEach((t) => {
+                const onCurve = dp.getPointOnCurve(t, p1, p2);
+                const l2 = dp.add(onCurve, dp.point(Math.cos(t * 7), Math.sin(t * 7)));
+                const intersections = dp.intersectCurveWithLine(p1, p2, onCurve, l2);
+                assert(intersections.some(intersection => c.closeTo(intersection.t1, t, 1e-6)),
+                    `should find t = ${t}`);
+                intersections.forEach(intersection => assertOnBoth(intersection, p1, p2, onCurve, l2));
+            });
+        });
+    });
+    it("should find both crossings of a quadratic hump", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(5, 10);
+        const intersections = dp.intersectCurveWithLine(dp.origin, p2, dp.point(0, 2), dp.point(1, 2));
+        assert.strictEqual(intersections.length, 2);
+        assert(intersections[0].t1 < intersections[1].t1);
+        intersections.forEach(intersection => c.assertCloseTo(intersection.y, 2, 1e-9));
+    });
+    it("should handle cubics that are really quadratics", function () {
+        const p2 = dp.elevateDegree(dp.origin, Object.assign(dp.point(10, 0), {cp1: dp.point(5, 10)}));
+        const intersections = dp.intersectCurveWithLine(dp.origin, p2, dp.point(5, -1), dp.point(5, 1));
+        assert.strictEqual(intersections.length, 1);
+        c.assertDeepCloseTo(dp.point(intersections[0].x, intersections[0].y), dp.point(5, 5), 1e-9);
+        c.assertCloseTo(intersections[0].t2, 3, 1e-9);
+    });
+    it("should not find anything when the line misses", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(5, 10);
+        assert.deepStrictEqual(dp.intersectCurveWithLine(dp.origin, p2, dp.point(0, 6), dp.point(1, 6)), []);
+    });
+});
+
+describe("#intersectCurves", function () {
+    it("should intersect lines at their crossing", function () {
+        const intersections = dp.intersectCurves(dp.point(0, 0), dp.point(10, 10),
+            dp.point(0, 10), dp.point(10, 0));
+        assert.strictEqual(intersections.length, 1);
+        c.assertDeepCloseTo(intersections[0], {x: 5, y: 5, t1: 0.5, t2: 0.5});
+    });
+    it("should not intersect lines that would only cross when extended", function () {
+        assert.deepStrictEqual(dp.intersectCurves(dp.point(0, 0), dp.point(1, 1),
+            dp.point(0, 10), dp.point(10, 0)), []);
+    });
+    it("should intersect a curve with a line either way around", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(0, 10);
+        p2.cp2 = dp.point(10, 10);
+        const l1 = dp.point(0, 5), l2 = dp.point(10, 5);
+        const forward = dp.intersectCurves(dp.origin, p2, l1, l2);
+        const backward = dp.intersectCurves(l1, l2, dp.origin, p2);
+        assert.strictEqual(forward.length, 2);
+        assert.strictEqual(backward.length, 2);
+        forward.forEach((intersection, i) => {
+            c.assertCloseTo(intersection.y, 5, 1e-9);
+            c.assertCloseTo(intersection.t1, backward[i].t2, 1e-9);
+            c.assertCloseTo(intersection.t2, backward[i].t1, 1e-9);
+        });
+    });
+    it("should intersect curves with curves", function () {
+        // a circle and a copy shifted right by its radius cross at 2 points
+        const r = c.randInt(5, 50);
+        const circle = dp.drawCircle(dp.origin, r);
+        const shifted = dp.adjustPoints(r, 0, ...circle);
+        const intersections = [];
+        for (let i = 1; i < circle.length; ++i) {
+            for (let j = 1; j < shifted.length; ++j) {
+                dp.intersectCurves(circle[i - 1], circle[i], shifted[j - 1], shifted[j]).forEach((intersection) => {
+                    c.assertDeepCloseTo(dp.getPointOnCurve(intersection.t1, circle[i - 1], circle[i]),
+                        dp.point(intersection.x, intersection.y), 1e-6);
+                    c.assertDeepCloseTo(dp.getPointOnCurve(intersection.t2, shifted[j - 1], shifted[j]),
+                        dp.point(intersection.x, intersection.y), 1e-6);
+                    intersections.push(intersection);
+                });
+            }
+        }
+        assert.strictEqual(intersections.length, 2);
+        intersections.forEach(intersection => c.assertCloseTo(intersection.x, r / 2, r * 0.001));
+    });
+    it("should find every crossing of a wavy cubic", function () {
+        const a2 = dp.point(30, 0);
+        a2.cp1 = dp.point(10, 20);
+        a2.cp2 = dp.point(20, -20);
+        // cubic that is straight along y = 0
+        const b2 = dp.point(35, 0);
+        b2.cp1 = dp.point(5, 0);
+        b2.cp2 = dp.point(25, 0);
+        const intersections = dp.intersectCurves(dp.origin, a2, dp.point(-5, 0), b2);
+        assert.strictEqual(intersections.length, 3);
+        [0, 15, 30].forEach((x, i) => {
+            c.assertDeepCloseTo(dp.point(intersections[i].x, intersections[i].y), dp.point(x, 0), 1e-6);
+            c.assertCloseTo(intersections[i].t1, i / 2, 1e-6);
+        });
+    });
+    it("should find a single point where curves only touch", function () {
+        // arch whose top is at (0, 7.5)
+        const arch = dp.point(10, 0);
+        arch.cp1 = dp.point(-10, 10);
+        arch.cp2 = dp.point(10, 10);
+        const top = dp.point(0, 7.5);
+        // a line, a cubic that is straight, and the arch upside down sitting on it
+        const line = [dp.point(-5, 7.5), dp.point(5, 7.5)];
+        const straight = [dp.point(-5, 7.5), {x: 5, y: 7.5, cp1: dp.point(-2, 7.5), cp2: dp.point(2, 7.5)}];
+        const flipped = [dp.point(-10, 15), {x: 10, y: 15, cp1: dp.point(-10, 5), cp2: dp.point(10, 5)}];
+        [line, straight, flipped].forEach(([b1, b2]) => {
+            const intersections = dp.intersectCurves(dp.point(-10, 0), arch, b1, b2);
+            assert.strictEqual(intersections.length, 1);
+            c.assertDeepCloseTo(dp.point(intersections[0].x, intersections[0].y), top, 1e-3);
+            c.assertCloseTo(intersections[0].t1, 0.5, 1e-3);
+        });
+    });
+});
+
+describe("#getClosestPointOnCurve", function () {
+    const curves = getRandomCurves();
+    it("should give back points on the curve as is", function () {
+        curves.forEach((p2) => {
+            [0, 0.3, 0.6, 1].forEach((t) => {
+                const pt = dp.getPointOnCurve(t, p1, p2);
+                const closest = dp.getClosestPointOnCurve(pt, p1, p2);
+                c.assertCloseTo(closest.distance, 0, 1e-6);
+                c.assertDeepCloseTo(dp.point(closest.x, closest.y), pt, 1e-6);
+            });
+        });
+    });
+    it("should be no farther than any sampled point on the curve", function () {
+        curves.forEach((p2) => {
+            const pt = c.getRandomPoint();
+            const closest = dp.getClosestPointOnCurve(pt, p1, p2);
+            c.assertCloseTo(closest.distance, dp.norm(dp.diff(pt, closest)));
+            c.assertDeepCloseTo(dp.extractPoint(closest), dp.getPointOnCurve(closest.t, p1, p2));
+            for (let t = 0; t <= 1; t += 0.01) {
+                const distance = dp.norm(dp.diff(pt, dp.getPointOnCurve(t, p1, p2)));
+                assert(closest.distance <= distance + 1e-9, `${closest.distance} <= ${distance}`);
+            }
+        });
+    });
+    it("should project onto lines and clamp to their ends", function () {
+        const p2 = dp.point(10, 0);
+        c.assertDeepCloseTo(dp.getClosestPointOnCurve(dp.point(3, 4), dp.origin, p2),
+            {x: 3, y: 0, t: 0.3, distance: 4});
+        c.assertDeepCloseTo(dp.getClosestPointOnCurve(dp.point(13, 4), dp.origin, p2),
+            {x: 10, y: 0, t: 1, distance: 5});
+    });
+    it("should find the point on a circular arc along the radius", function () {
+        const r = c.randInt(5, 50);
+        const [quarter] = dp.getArcCurves(dp.origin, r, r, 0, Math.PI / 2);
+        const closest = dp.getClosestPointOnCurve(dp.point(2 * r, 2 * r), dp.point(r, 0), quarter);
+        c.assertCloseTo(closest.distance, (2 * Math.SQRT2 - 1) * r, r * 0.001);
+        c.assertCloseTo(closest.t, 0.5, 1e-6);
+    });
+});
+
+describe("#getTangentAt, #getNormalAt", function () {
+    const curves = getRandomCurves();
+    const ts = [0, 0.2, 0.5, 0.9, 1];
+    it("should give unit vectors along the derivative", function () {
+        curves.forEach((p2) => {
+            ts.forEach((t) => {
+                const tangent = dp.getTangentAt(t, p1, p2);
+                c.assertCloseTo(dp.norm(tangent), 1);
+                c.assertDeepCloseTo(tangent, dp.getUnitVector(dp.getDerivativeOnCurve(t, p1, p2)));
+                const normal = dp.getNormalAt(t, p1, p2);
+                c.assertCloseTo(dp.norm(normal), 1);
+                c.assertCloseTo(tangent.x * normal.x + tangent.y * normal.y, 0);
+                // counterclockwise from the tangent
+                c.assertCloseTo(tangent.x * normal.y - tangent.y * normal.x, 1);
+            });
+        });
+    });
+    it("should match finite differences of getPointOnCurve", function () {
+        curves.forEach((p2) => {
+            [0.2, 0.5, 0.9].forEach((t) => {
+                const h = 1e-6;
+                const approx = dp.diff(dp.getPointOnCurve(t - h, p1, p2), dp.getPointOnCurve(t + h, p1, p2));
+                c.assertDeepCloseTo(dp.getTangentAt(t, p1, p2), dp.getUnitVector(approx), 1e-6);
+            });
+        });
+    });
+    it("should follow the curve when a control point sits on an end point", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(0, 0);
+        p2.cp2 = dp.point(10, 10);
+        // heads towards the other control point
+        c.assertDeepCloseTo(dp.getTangentAt(0, dp.origin, p2), dp.point(Math.SQRT1_2, Math.SQRT1_2), 1e-5);
+        c.assertDeepCloseTo(dp.getTangentAt(1, dp.origin, p2), dp.point(0, -1), 1e-9);
+    });
+});
+
+describe("#getCurvatureAt", function () {
+    it("should be 0 for lines", function () {
+        assert.strictEqual(dp.getCurvatureAt(0.5, dp.origin, dp.point(10, 3)), 0);
+    });
+    it("should be close to 1 / radius along a counterclockwise circular arc", function () {
+        const r = c.randInt(5, 50);
+        const [quarter] = dp.getArcCurves(dp.origin, r, r, 0, Math.PI / 2);
+        // cubic approximation of a circle isn't perfect
+        [0, 0.25, 0.5, 1].forEach((t) => {
+            c.assertCloseTo(dp.getCurvatureAt(t, dp.point(r, 0), quarter), 1 / r, 0.05 / r);
+        });
+    });
+    it("should be negative when turning clockwise", function () {
+        const r = c.randInt(5, 50);
+        const [quarter] = dp.getArcCurves(dp.origin, r, r, 0, -Math.PI / 2);
+        c.assertCloseTo(dp.getCurvatureAt(0.5, dp.point(r, 0), quarter), -1 / r, 0.01 / r);
+    });
+    it("should be the quadratic's known curvature at its vertex", function () {
+        // y = x^2 / 10 from x = -10 to 10 has curvature 0.2 at x = 0
+        const p2 = dp.point(10, 10);
+        p2.cp1 = dp.point(0, -10);
+        c.assertCloseTo(dp.getCurvatureAt(0.5, dp.point(-10, 10), p2), 0.2);
+    });
+});
+
+describe("#getCurveWinding", function () {
+    it("should count crossings of the ray going right by direction", function () {
+        const p1 = dp.point(0, -10);
+        const p2 = dp.point(0, 10);
+        p2.cp1 = dp.point(20, -10);
+        p2.cp2 = dp.point(20, 10);
+        assert.strictEqual(dp.getCurveWinding(dp.point(-5, 0), p1, p2), 1);
+        assert.strictEqual(dp.getCurveWinding(dp.point(20, 0), p1, p2), 0);
+        assert.strictEqual(dp.getCurveWinding(dp.point(-5, 0), p2, dp.reverseDrawPoint(p1, p2)), -1);
+        // curve going up and back down again crosses twice in opposite directions
+        const p3 = dp.point(10, -10);
+        p3.cp1 = dp.point(0, 20);
+        assert.strictEqual(dp.getCurveWinding(dp.point(-5, 0), p1, p3), 0);
+    });
+    it("should only count crossings through the start of the curve", function () {
+        const p1 = dp.point(0, 0);
+        const p2 = dp.point(0, 10);
+        const p3 = dp.point(0, 20);
+        assert.strictEqual(dp.getCurveWinding(dp.point(-5, 10), p1, p2) +
+            dp.getCurveWinding(dp.point(-5, 10), p2, p3), 1);
+    });
+});
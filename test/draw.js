@@ -0,0 +1,163 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+function assertAllOnCircle(points, center, r, delta = 1e-9) {
+    points.forEach(p => c.assertCloseTo(dp.norm(dp.diff(center, p)), r, delta));
+}
+
+describe("#drawEllipse", function () {
+    it("should be a circle when both radii are the same", function () {
+        const center = dp.point(3, -4);
+        c.assertDeepCloseTo(dp.drawEllipse(center, 10, 10).slice(1), dp.drawCircle(center, 10).slice(1), 1e-9);
+    });
+    it("should start at the top and end where it starts", function () {
+        const ellipse = dp.drawEllipse(dp.point(0, 0), 20, 10);
+        c.assertDeepCloseTo(ellipse[0], dp.point(0, 10));
+        assert.deepStrictEqual(dp.extractPoint(ellipse[ellipse.length - 1]), ellipse[0]);
+        c.assertDeepCloseTo(dp.getPathBoundingBox(...ellipse), {min: dp.point(-20, -10), max: dp.point(20, 10)});
+    });
+    it("should rotate about its center", function () {
+        const ellipse = dp.drawEllipse(dp.point(5, 5), 20, 10, Math.PI / 3);
+        const rotated = dp.clone(dp.drawEllipse(dp.point(5, 5), 20, 10));
+        dp.rotatePoints(dp.point(5, 5), Math.PI / 3, ...rotated);
+        c.assertDeepCloseTo(ellipse, rotated, 1e-9);
+    });
+});
+
+describe("#drawRoundedRect", function () {
+    it("should give a plain rectangle without a radius", function () {
+        assert.deepStrictEqual(dp.drawRoundedRect(dp.point(0, 0), 10, 5), [dp.point(0, 5), dp.point(10, 5),
+            dp.point(10, 0), dp.point(0, 0), dp.point(0, 5)]);
+    });
+    it("should round each corner", function () {
+        const rect = dp.drawRoundedRect(dp.point(0, 0), 10, 6, 2);
+        assert.strictEqual(rect.filter(p => p.cp1 && p.cp2).length, 4);
+        assert.deepStrictEqual(rect[0], dp.point(2, 6));
+        assert.deepStrictEqual(dp.extractPoint(rect[rect.length - 1]), rect[0]);
+        assert.deepStrictEqual(dp.getPathBoundingBox(...rect), {min: dp.point(0, 0), max: dp.point(10, 6)});
+        c.assertCloseTo(dp.getPathLength(...rect), 2 * (6 + 2) + 2 * Math.PI * 2, 1e-2);
+    });
+    it("should limit the radius to make a capsule", function () {
+        const capsule = dp.drawRoundedRect(dp.point(0, 0), 10, 4, 100);
+        c.assertCloseTo(dp.getPathLength(...capsule), 2 * 6 + 2 * Math.PI * 2, 1e-2);
+        // no lines that go nowhere
+        dp.getSegments(...capsule).forEach(({p1, p2}) => assert(dp.getCurveLength(p1, p2) > 0));
+    });
+});
+
+describe("#drawPolygon", function () {
+    it("should put every corner on the circle starting at the top going clockwise", function () {
+        const center = dp.point(1, 2);
+        const hexagon = dp.drawPolygon(center, 10, 6);
+        assert.strictEqual(hexagon.length, 7);
+        assertAllOnCircle(hexagon, center, 10);
+        c.assertDeepCloseTo(hexagon[0], dp.point(1, 12));
+        c.assertDeepCloseTo(hexagon[6], hexagon[0]);
+        assert(hexagon[1].x > hexagon[0].x);
+        c.assertCloseTo(dp.getPathLength(...hexagon), 60, 1e-9);
+    });
+    it("should only take whole numbers of at least 3 sides", function () {
+        [0, 2, 4.5, -3, NaN, Infinity].forEach((numSides) => {
+            assert.throws(() => dp.drawPolygon(dp.origin, 10, numSides), RangeError);
+        });
+        assert.strictEqual(dp.drawPolygon(dp.origin, 10, 3).length, 4);
+    });
+});
+
+describe("#drawStar", function () {
+    it("should alternate between outer and inner points", function () {
+        const center = dp.point(0, 0);
+        const star = dp.drawStar(center, 10, 4, 5, Math.PI / 2);
+        assert.strictEqual(star.length, 11);
+        assertAllOnCircle(star.filter((p, i) => i % 2 === 0), center, 10);
+        assertAllOnCircle(star.filter((p, i) => i % 2 === 1), center, 4);
+        // rotated so the first tip points left
+        c.assertDeepCloseTo(star[0], dp.point(-10, 0));
+    });
+    it("should only take whole numbers of at least 2 tips", function () {
+        [0, 1, 2.5, -5, NaN, Infinity].forEach((numPoints) => {
+            assert.throws(() => dp.drawStar(dp.origin, 10, 4, numPoints), RangeError);
+        });
+        assert.strictEqual(dp.drawStar(dp.origin, 10, 4, 2).length, 5);
+    });
+});
+
+describe("#drawArc, #drawEllipticalArc", function () {
+    it("should go between the angles in the direction given", function () {
+        const center = dp.point(5, 5);
+        const ccw = dp.drawArc(center, 10, 0, Math.PI * 3 / 4);
+        c.assertDeepCloseTo(ccw[0], dp.point(15, 5));
+        c.assertDeepCloseTo(dp.extractPoint(ccw[ccw.length - 1]), dp.add(center, dp.point(-Math.SQRT1_2,
+            Math.SQRT1_2), 10));
+        assertAllOnCircle(ccw, center, 10);
+        c.assertCloseTo(dp.getPathLength(...ccw), 10 * Math.PI * 3 / 4, 1e-2);
+        const cw = dp.drawArc(center, 10, 0, -Math.PI * 3 / 4);
+        assert(cw[1].y < center.y);
+    });
+    it("should follow the ellipse", function () {
+        const arc = dp.drawEllipticalArc(dp.point(0, 0), 20, 10, 0, Math.PI, Math.PI / 2);
+        c.assertDeepCloseTo(arc[0], dp.point(0, 20));
+        c.assertDeepCloseTo(dp.extractPoint(arc[arc.length - 1]), dp.point(0, -20));
+        c.assertDeepCloseTo(arc.slice(1), dp.getArcCurves(dp.point(0, 0), 20, 10, 0, Math.PI, Math.PI / 2));
+    });
+});
+
+describe("#drawPie", function () {
+    it("should go out from the center along the arc and back", function () {
+        const center = dp.point(0, 0);
+        const pie = dp.drawPie(center, 10, 0, Math.PI / 2);
+        assert.deepStrictEqual(pie[0], center);
+        assert.deepStrictEqual(pie[pie.length - 1], center);
+        c.assertCloseTo(dp.getPathLength(...pie), 20 + 5 * Math.PI, 1e-2);
+        assert.strictEqual(dp.isPointInPath(dp.point(3, 3), ...pie), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(-3, 3), ...pie), false);
+    });
+});
+
+describe("#drawDebugOverlay", function () {
+    function recordOverlay(...args) {
+        const calls = [];
+        const ctx = {};
+        ["save", "restore", "beginPath", "moveTo", "lineTo", "stroke", "arc", "fill", "fillRect", "fillText",
+            "setLineDash"].forEach((method) => {
+            ctx[method] = (...callArgs) => calls.push([method, ...callArgs]);
+        });
+        dp.drawDebugOverlay(ctx, ...args);
+        return calls;
+    }
+
+    const p1 = dp.point(0, 0);
+    const p2 = dp.point(10, 0);
+    p2.cp1 = dp.point(2, 5);
+    p2.cp2 = dp.point(8, 5);
+    const p3 = dp.point(20, 0);
+    p3.cp1 = dp.point(15, -5);
+    const p4 = dp.point(30, 30);
+
+    it("should mark every point, control point, and curve", function () {
+        const calls = recordOverlay(p1, p2, p3, dp.breakPoint, p4, dp.endPoint);
+        assert.deepStrictEqual(calls[0], ["save"]);
+        assert.deepStrictEqual(calls[calls.length - 1], ["restore"]);
+        assert.deepStrictEqual(calls.filter(call => call[0] === "arc").map(call => call.slice(1, 3)),
+            [[0, 0], [10, 0], [20, 0], [30, 30]]);
+        assert.deepStrictEqual(calls.filter(call => call[0] === "fillRect").map(call => call.slice(1, 3)),
+            [[0, 3], [6, 3], [13, -7]]);
+        // curves are numbered by the draw point they end at, and none is drawn across the break
+        assert.deepStrictEqual(calls.filter(call => call[0] === "fillText").map(call => call[1]), ["1", "2"]);
+        c.assertDeepCloseTo(calls.filter(call => call[0] === "fillText")[0].slice(2), [5, 3.75]);
+    });
+    it("should draw handles from points on the path to their control points", function () {
+        const calls = recordOverlay(p1, p2, p3, {showPolygon: false, showIndices: false});
+        const lines = calls.filter(call => call[0] === "moveTo" || call[0] === "lineTo").map(call => call.slice(1));
+        assert.deepStrictEqual(lines, [[0, 0], [2, 5], [8, 5], [10, 0], [10, 0], [15, -5], [15, -5], [20, 0]]);
+        assert.strictEqual(calls.some(call => call[0] === "fillText"), false);
+    });
+    it("should label points and take options after any number of points", function () {
+        const calls = recordOverlay(p1, p2, p3, {labels: {0: "start", 2: "curl"}, showIndices: false});
+        assert.deepStrictEqual(calls.filter(call => call[0] === "fillText"),
+            [["fillText", "start", 3, -3], ["fillText", "curl", 23, -3]]);
+        // nothing is mistaken for a point
+        assert.strictEqual(calls.filter(call => call[0] === "arc").length, 3);
+    });
+});
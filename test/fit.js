@@ -0,0 +1,161 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+function sampleCircle(center, radius, startAngle, endAngle, numSamples) {
+    const samples = [];
+    for (let i = 0; i < numSamples; ++i) {
+        const angle = startAngle + (endAngle - startAngle) * i / (numSamples - 1);
+        samples.push(dp.point(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+    }
+    return samples;
+}
+
+function getMaxDistance(samples, fitted) {
+    return samples.reduce((max, sample) =>
+        Math.max(max, dp.getClosestPointOnPath(sample, ...fitted).distance), 0);
+}
+
+describe("#fitCurve", function () {
+    it("should give nothing for no samples", function () {
+        assert.deepStrictEqual(dp.fitCurve([]), []);
+    });
+    it("should start at the first sample and end at the last with cubic curves", function () {
+        const samples = sampleCircle(dp.point(10, -5), 50, 0, Math.PI, 40);
+        const fitted = dp.fitCurve(samples);
+        assert.deepStrictEqual(fitted[0], samples[0]);
+        c.assertDeepCloseTo(dp.extractPoint(fitted[fitted.length - 1]), samples[samples.length - 1]);
+        fitted.slice(1).forEach((p) => {
+            assert(p.cp1 && p.cp2);
+        });
+    });
+    it("should fit within the tolerance with far fewer curves than samples", function () {
+        const samples = sampleCircle(dp.point(0, 0), 100, 0, 1.5 * Math.PI, 200);
+        [2, 0.5, 0.05].forEach((tolerance) => {
+            const fitted = dp.fitCurve(samples, {tolerance});
+            assert(getMaxDistance(samples, fitted) <= tolerance);
+            assert(fitted.length < 20);
+        });
+    });
+    it("should fit collinear samples with a single curve", function () {
+        const samples = [0, 1, 2, 3, 4, 5].map(x => dp.point(x * 10, x * 5));
+        const fitted = dp.fitCurve(samples);
+        assert.strictEqual(fitted.length, 2);
+        assert(getMaxDistance(samples, fitted) < 1e-9);
+    });
+    it("should keep tangents continuous between curves", function () {
+        const samples = [];
+        for (let i = 0; i <= 100; ++i) {
+            samples.push(dp.point(i * 4, 50 * Math.sin(i / 8)));
+        }
+        const fitted = dp.fitCurve(samples, {tolerance: 0.5});
+        assert(fitted.length > 2);
+        for (let i = 2; i < fitted.length; ++i) {
+            const arriving = dp.getTangentAt(1, fitted[i - 2], fitted[i - 1]);
+            const leaving = dp.getTangentAt(0, fitted[i - 1], fitted[i]);
+            c.assertDeepCloseTo(leaving, arriving, 1e-9);
+            // the next curve's first control point continues the curve before it
+            const continued = dp.getUnitVector(dp.diff(fitted[i - 1],
+                dp.continueCurve(fitted[i - 2], fitted[i - 1])));
+            c.assertDeepCloseTo(dp.getUnitVector(dp.diff(fitted[i - 1], fitted[i].cp1)), continued, 1e-9);
+        }
+    });
+    it("should keep sharp corners", function () {
+        const samples = [];
+        for (let i = 0; i <= 10; ++i) {
+            samples.push(dp.point(i * 10, 0));
+        }
+        for (let i = 1; i <= 10; ++i) {
+            samples.push(dp.point(100 - i * 5, i * 10));
+        }
+        const fitted = dp.fitCurve(samples);
+        const corner = fitted.filter(p => p.x === 100 && p.y === 0);
+        assert.strictEqual(corner.length, 1);
+        assert(getMaxDistance(samples, fitted) < 1e-9);
+        // the corner is not smoothed over
+        const index = fitted.indexOf(corner[0]);
+        c.assertDeepCloseTo(dp.getTangentAt(1, fitted[index - 1], fitted[index]), dp.point(1, 0));
+        c.assertDeepCloseTo(dp.getTangentAt(0, fitted[index], fitted[index + 1]),
+            dp.getUnitVector(dp.point(-1, 2)));
+    });
+    it("should ignore repeated samples", function () {
+        const samples = sampleCircle(dp.point(0, 0), 30, 0, Math.PI / 2, 10);
+        const repeated = [];
+        samples.forEach(sample => repeated.push(sample, dp.clone(sample)));
+        assert.deepStrictEqual(dp.fitCurve(repeated), dp.fitCurve(samples));
+    });
+    it("should smooth over turns only as sharp as the corner angle", function () {
+        const samples = [dp.point(0, 0), dp.point(10, 0), dp.point(20, 5)];
+        assert.strictEqual(dp.fitCurve(samples, {tolerance: 100}).length, 2);
+        assert.strictEqual(dp.fitCurve(samples, {tolerance: 100, cornerAngle: 0.1}).length, 3);
+    });
+});
+
+describe("#splineThrough", function () {
+    const points = [dp.point(0, 0), dp.point(30, 40), dp.point(80, 10), dp.point(120, 60), dp.point(60, 90)];
+
+    it("should pass through every point with cubic curves", function () {
+        const spline = dp.splineThrough(points);
+        assert.strictEqual(spline.length, points.length);
+        spline.forEach((p, i) => {
+            assert.deepStrictEqual(dp.extractPoint(p), points[i]);
+            if (i > 0) {
+                assert(p.cp1 && p.cp2);
+            }
+        });
+    });
+    it("should keep tangents continuous through interior points", function () {
+        [0, 0.5].forEach((tension) => {
+            const spline = dp.splineThrough(points, {tension});
+            for (let i = 2; i < spline.length; ++i) {
+                c.assertDeepCloseTo(dp.getTangentAt(0, spline[i - 1], spline[i]),
+                    dp.getTangentAt(1, spline[i - 2], spline[i - 1]), 1e-9);
+            }
+        });
+    });
+    it("should give Catmull-Rom tangents with no tension", function () {
+        const spline = dp.splineThrough(points);
+        // velocity through a point is half the vector between its neighbours, and the
+        // derivative of a cubic at its start is three times the handle
+        c.assertDeepCloseTo(dp.getDerivativeOnCurve(0, spline[2], spline[3]),
+            dp.scale(dp.diff(points[1], points[3]), 0.5), 1e-9);
+    });
+    it("should give straight lines with full tension", function () {
+        const spline = dp.splineThrough(points, {tension: 1});
+        for (let i = 1; i < spline.length; ++i) {
+            assert.deepStrictEqual(spline[i].cp1, points[i - 1]);
+            assert.deepStrictEqual(spline[i].cp2, points[i]);
+        }
+    });
+    it("should loop back to the start smoothly when closed", function () {
+        const spline = dp.splineThrough(points, {closed: true});
+        assert.strictEqual(spline.length, points.length + 2);
+        assert.strictEqual(spline[spline.length - 1], dp.endPoint);
+        const last = spline[spline.length - 2];
+        assert.deepStrictEqual(dp.extractPoint(last), points[0]);
+        c.assertDeepCloseTo(dp.getTangentAt(0, spline[0], spline[1]),
+            dp.getTangentAt(1, spline[spline.length - 3], last), 1e-9);
+        assert.strictEqual(dp.getSubpaths(...spline)[0].closed, true);
+    });
+    it("should draw through drawPoints unchanged", function () {
+        const calls = [];
+        const ctx = {
+            moveTo: (...args) => calls.push(["moveTo", ...args]),
+            lineTo: (...args) => calls.push(["lineTo", ...args]),
+            bezierCurveTo: (...args) => calls.push(["bezierCurveTo", ...args.slice(0, 6)]),
+            closePath: () => calls.push(["closePath"]),
+        };
+        const spline = dp.splineThrough(points);
+        dp.drawPoints(ctx, ...spline);
+        assert.strictEqual(calls.length, points.length);
+        assert.deepStrictEqual(calls[0], ["moveTo", 0, 0]);
+        calls.slice(1).forEach((call, i) => {
+            const p = spline[i + 1];
+            assert.deepStrictEqual(call, ["bezierCurveTo", p.cp1.x, p.cp1.y, p.cp2.x, p.cp2.y, p.x, p.y]);
+        });
+    });
+    it("should handle too few points", function () {
+        assert.deepStrictEqual(dp.splineThrough([]), []);
+        assert.deepStrictEqual(dp.splineThrough([dp.point(1, 2)]), [dp.point(1, 2)]);
+    });
+});
@@ -0,0 +1,99 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+describe("#transformPoint", function () {
+    it("should leave points alone with the identity", function () {
+        const pt = c.getRandomPoint();
+        assert.deepStrictEqual(dp.transformPoint(dp.identityMatrix, pt), pt);
+    });
+    it("should follow the canvas setTransform convention", function () {
+        const m = dp.matrix(1, 2, 3, 4, 5, 6);
+        assert.deepStrictEqual(dp.transformPoint(m, dp.point(10, 100)), dp.point(315, 426));
+    });
+});
+
+describe("#translateMatrix, #scaleMatrix, #rotateMatrix, #skewMatrix", function () {
+    it("should translate like adjust", function () {
+        const pt = c.getRandomPoint();
+        assert.deepStrictEqual(dp.transformPoint(dp.translateMatrix(3, -4), pt), dp.adjust(pt, 3, -4));
+    });
+    it("should scale about a pivot like scale", function () {
+        const pt = c.getRandomPoint();
+        const pivot = c.getRandomPoint();
+        c.assertDeepCloseTo(dp.transformPoint(dp.scaleMatrix(2.5, 2.5, pivot), pt), dp.scale(pt, 2.5, pivot));
+        c.assertDeepCloseTo(dp.transformPoint(dp.scaleMatrix(2, 3), dp.point(1, 1)), dp.point(2, 3));
+    });
+    it("should rotate about a pivot like rotatePoints", function () {
+        const pt = c.getRandomPoint();
+        const pivot = c.getRandomPoint();
+        const rad = c.rand(-3, 3);
+        const rotated = dp.transformPoint(dp.rotateMatrix(rad, pivot), pt);
+        dp.rotatePoints(pivot, rad, pt);
+        c.assertDeepCloseTo(rotated, pt, 1e-9);
+    });
+    it("should skew x by y", function () {
+        c.assertDeepCloseTo(dp.transformPoint(dp.skewMatrix(Math.PI / 4), dp.point(1, 2)), dp.point(3, 2));
+        c.assertDeepCloseTo(dp.transformPoint(dp.skewMatrix(0, Math.PI / 4, dp.point(1, 1)), dp.point(3, 1)),
+            dp.point(3, 3));
+    });
+});
+
+describe("#composeMatrices", function () {
+    it("should apply transforms in the given order", function () {
+        const pt = c.getRandomPoint();
+        const m1 = dp.rotateMatrix(0.5, c.getRandomPoint());
+        const m2 = dp.scaleMatrix(2, 0.5);
+        const m3 = dp.translateMatrix(7, -3);
+        const composed = dp.composeMatrices(m1, m2, m3);
+        const stepByStep = dp.transformPoint(m3, dp.transformPoint(m2, dp.transformPoint(m1, pt)));
+        c.assertDeepCloseTo(dp.transformPoint(composed, pt), stepByStep, 1e-9);
+    });
+    it("should give the identity when given nothing", function () {
+        assert.deepStrictEqual(dp.composeMatrices(), dp.identityMatrix);
+    });
+});
+
+describe("#invertMatrix", function () {
+    it("should undo a transform", function () {
+        const pt = c.getRandomPoint();
+        const m = dp.composeMatrices(dp.skewMatrix(0.3, -0.2), dp.rotateMatrix(1.2), dp.translateMatrix(5, 9));
+        c.assertDeepCloseTo(dp.transformPoint(dp.invertMatrix(m), dp.transformPoint(m, pt)), pt, 1e-9);
+        c.assertDeepCloseTo(dp.composeMatrices(m, dp.invertMatrix(m)), dp.identityMatrix, 1e-9);
+    });
+    it("should give null for transforms that can't be undone", function () {
+        assert.strictEqual(dp.invertMatrix(dp.scaleMatrix(0, 1)), null);
+    });
+});
+
+describe("#transformPoints", function () {
+    it("should transform control points and pass sentinels through", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), 10);
+        points.push(dp.endPoint, null, dp.breakPoint);
+        const m = dp.translateMatrix(1, 2);
+        const transformed = dp.transformPoints(m, ...points);
+        assert.deepStrictEqual(transformed, dp.adjustPoints(1, 2, ...points.slice(0, 5))
+            .concat([dp.endPoint, null, dp.breakPoint]));
+        assert.strictEqual(transformed[5], dp.endPoint);
+    });
+    it("should not modify the original points", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), 10);
+        const original = dp.clone(points);
+        dp.transformPoints(dp.rotateMatrix(1), ...points);
+        assert.deepStrictEqual(points, original);
+    });
+});
+
+describe("#getContextTransform", function () {
+    it("should read the transform of a context", function () {
+        const ctx = {getTransform: () => ({a: 2, b: 0, c: 0, d: 2, e: 10, f: 20, is2D: true})};
+        assert.deepStrictEqual(dp.getContextTransform(ctx), dp.matrix(2, 0, 0, 2, 10, 20));
+    });
+    it("should read the tracked transform of a Context2DTracked", function () {
+        const ctx = {tf: [dp.identityMatrix, {a: 1, b: 2, c: 3, d: 4, e: 5, f: 6}]};
+        assert.deepStrictEqual(dp.getContextTransform(ctx), dp.matrix(1, 2, 3, 4, 5, 6));
+    });
+    it("should fall back to the identity", function () {
+        assert.deepStrictEqual(dp.getContextTransform({}), dp.identityMatrix);
+    });
+});
@@ -0,0 +1,75 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+function assertOnPath(points, path, delta = 1e-9) {
+    // include the lines back to the start of closed subpaths
+    path = dp.joinSubpaths(...dp.getSubpaths(...path).map(({points, closed}) =>
+        ({points: closed ? points.concat([points[0]]) : points, closed: false})));
+    dp.getSegments(...points).forEach(({p1, p2}) => {
+        [0, 0.3, 0.7, 1].forEach((t) => {
+            const pt = dp.getPointOnCurve(t, p1, p2);
+            assert(dp.getClosestPointOnPath(pt, ...path).distance < delta);
+        });
+    });
+}
+
+describe("#morphPath", function () {
+    // counterclockwise square starting at the bottom left
+    const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+    // clockwise, starting from a different corner
+    const squareCw = [dp.point(10, 10), dp.point(10, 0), dp.point(0, 0), dp.point(0, 10), dp.endPoint];
+    const triangle = [dp.point(0, 0), dp.point(10, 0), dp.point(5, 10), dp.endPoint];
+
+    it("should look like the first path at 0 and the second at 1", function () {
+        const circle = dp.drawCircle(dp.point(5, 5), 5);
+        const start = dp.morphPath(0, triangle, circle);
+        assertOnPath(start, triangle);
+        c.assertCloseTo(dp.getPathLength(...start), dp.getPathLength(...triangle), 1e-9);
+        const end = dp.morphPath(1, triangle, circle);
+        assertOnPath(end, circle);
+        c.assertCloseTo(dp.getPathLength(...end), dp.getPathLength(...circle), 1e-9);
+    });
+    it("should match segment counts by splitting", function () {
+        const morphed = dp.morphPath(0.5, triangle, square);
+        assert.strictEqual(dp.getSegments(...morphed).length, 4);
+        assert.strictEqual(morphed[morphed.length - 1], dp.endPoint);
+        assertOnPath(dp.morphPath(1, triangle, square), square);
+    });
+    it("should line up winding and starting points of closed paths", function () {
+        // with the points lined up nothing moves, otherwise the middle would collapse
+        assertOnPath(dp.morphPath(0.5, square, squareCw), square);
+        c.assertCloseTo(dp.getPathLength(...dp.morphPath(0.5, square, squareCw)), 40, 1e-9);
+    });
+    it("should line up the direction of open paths", function () {
+        const line = [dp.point(0, 0), dp.point(10, 0)];
+        const reversed = [dp.point(10, 0), dp.point(0, 0)];
+        assert.deepStrictEqual(dp.morphPath(0.5, line, reversed), line);
+    });
+    it("should blend control points of curves", function () {
+        const p1 = dp.point(0, 0);
+        const end1 = dp.point(10, 0);
+        end1.cp1 = dp.point(2, 5);
+        end1.cp2 = dp.point(8, 5);
+        const end2 = dp.point(10, 0);
+        end2.cp1 = dp.point(2, -5);
+        end2.cp2 = dp.point(8, -5);
+        const morphed = dp.morphPath(0.25, [p1, end1], [p1, end2]);
+        assert.deepStrictEqual(morphed[1], dp.transformCurve(0.25, p1, end1, end2));
+    });
+    it("should grow subpaths without a counterpart from a point", function () {
+        const two = square.concat([dp.breakPoint, dp.point(20, 20), dp.point(30, 20)]);
+        const morphed = dp.morphPath(0.5, square, two);
+        const subpaths = dp.getSubpaths(...morphed);
+        assert.strictEqual(subpaths.length, 2);
+        assert.deepStrictEqual(subpaths[1].points, [dp.point(20, 20), dp.point(25, 20)]);
+    });
+    it("should not modify the given paths", function () {
+        const circle = dp.drawCircle(dp.point(5, 5), 5);
+        const original = dp.clone(circle);
+        const triangleOriginal = dp.clone(triangle);
+        dp.morphPath(0.3, triangle, circle);
+        assert.deepStrictEqual(circle, original);
+        assert.deepStrictEqual(triangle, triangleOriginal);
+    });
+});
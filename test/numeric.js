@@ -65,3 +65,61 @@ describe("#roundToDec", function () {
         assert.strictEqual(dp.roundToDec(0.126, 2), 0.13);
     });
 });
+
+describe("#integrate", function () {
+    it("should integrate polynomials exactly", function () {
+        c.assertCloseTo(dp.integrate(x => 3 * x * x, 0, 2), 8, 1e-9);
+        c.assertCloseTo(dp.integrate(x => x, -1, 1), 0, 1e-9);
+    });
+    it("should integrate smooth functions to within tolerance", function () {
+        c.assertCloseTo(dp.integrate(Math.sin, 0, Math.PI), 2, 1e-9);
+        c.assertCloseTo(dp.integrate(Math.sqrt, 0, 1), 2 / 3, 1e-6);
+    });
+});
+
+describe("#solveLinear, #solveQuadratic, #solveCubic", function () {
+    function evaluate(coefficients, x) {
+        return coefficients.reduce((value, coefficient) => value * x + coefficient, 0);
+    }
+
+    it("should solve linear equations unless there are none or infinitely many solutions", function () {
+        assert.deepStrictEqual(dp.solveLinear(2, -3), [1.5]);
+        assert.deepStrictEqual(dp.solveLinear(0, 1), []);
+        assert.deepStrictEqual(dp.solveLinear(0, 0), []);
+    });
+    it("should solve quadratic equations in ascending order", function () {
+        c.assertDeepCloseTo(dp.solveQuadratic(1, -3, 2), [1, 2]);
+        assert.deepStrictEqual(dp.solveQuadratic(1, 0, 1), []);
+    });
+    it("should give a double root once", function () {
+        c.assertDeepCloseTo(dp.solveQuadratic(1, -2, 1), [1]);
+        c.assertDeepCloseTo(dp.solveCubic(1, -4, 5, -2), [1, 2], 1e-7);
+    });
+    it("should keep precision of small roots next to large ones", function () {
+        const roots = dp.solveQuadratic(1, -1e8, 1);
+        assert.strictEqual(roots.length, 2);
+        c.assertCloseTo(roots[0], 1e-8, 1e-20);
+    });
+    it("should reduce degree when leading coefficients vanish", function () {
+        c.assertDeepCloseTo(dp.solveQuadratic(0, 2, -1), [0.5]);
+        c.assertDeepCloseTo(dp.solveCubic(0, 1, -3, 2), [1, 2]);
+        c.assertDeepCloseTo(dp.solveCubic(1e-17, 1, -3, 2), [1, 2]);
+        c.assertDeepCloseTo(dp.solveCubic(0, 0, 4, -1), [0.25]);
+        assert.deepStrictEqual(dp.solveCubic(0, 0, 0, 1), []);
+    });
+    it("should solve cubic equations with one or three real roots", function () {
+        c.assertDeepCloseTo(dp.solveCubic(2, -12, 22, -12), [1, 2, 3]);
+        c.assertDeepCloseTo(dp.solveCubic(1, 0, 1, -2), [1]);
+        c.assertDeepCloseTo(dp.solveCubic(1, 0, 0, 0), [0]);
+    });
+    it("should refine roots until they solve the equation", function () {
+        for (let i = 0; i < 20; ++i) {
+            const coefficients = [c.rand(-10, 10), c.rand(-10, 10), c.rand(-10, 10), c.rand(-10, 10)];
+            dp.solveCubic(...coefficients).forEach((x) => {
+                const scale = coefficients.reduce((total, coefficient) => total * Math.max(1, Math.abs(x)) +
+                    Math.abs(coefficient), 0);
+                assert(Math.abs(evaluate(coefficients, x)) <= 1e-12 * scale, `${x} does not solve ${coefficients}`);
+            });
+        }
+    });
+});
@@ -0,0 +1,147 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+// counterclockwise square
+const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+
+function getDrawnPoints(points) {
+    return points.filter(p => p && p.hasOwnProperty("x")).map(dp.extractPoint);
+}
+
+describe("#offsetPath", function () {
+    it("should shift lines along their normal", function () {
+        const p1 = c.getRandomPoint();
+        const p2 = c.getRandomPoint();
+        const d = c.rand(-10, 10);
+        const normal = dp.getNormalAt(0, p1, p2);
+        c.assertDeepCloseTo(dp.offsetPath([p1, p2], d), [dp.add(p1, normal, d), dp.add(p2, normal, d)], 1e-9);
+    });
+    it("should give back a copy when not offsetting", function () {
+        const offset = dp.offsetPath(square, 0);
+        assert.deepStrictEqual(offset, square);
+        assert.notStrictEqual(offset[0], square[0]);
+    });
+    it("should keep a circle's center and grow its radius by the offset", function () {
+        const center = c.getRandomPoint();
+        const r = c.randInt(10, 50);
+        const d = c.randInt(1, 9);
+        // circle is drawn clockwise so the left is outside
+        [d, -d].forEach((distance) => {
+            const offset = dp.offsetPath(dp.drawCircle(center, r), distance, {tolerance: 0.01});
+            const segments = dp.getSegments(...offset);
+            assert(segments.length >= 4);
+            segments.forEach(({p1, p2}) => {
+                [0, 0.3, 0.5, 0.8].forEach((t) => {
+                    const pt = dp.getPointOnCurve(t, p1, p2);
+                    c.assertCloseTo(dp.norm(dp.diff(center, pt)), r + distance, 0.05);
+                });
+            });
+        });
+    });
+    it("should approximate cubic offsets within tolerance", function () {
+        const p2 = dp.point(100, 0);
+        p2.cp1 = dp.point(20, 80);
+        p2.cp2 = dp.point(60, -60);
+        const tolerance = 0.01;
+        const offset = dp.offsetPath([dp.origin, p2], 5, {tolerance});
+        dp.getSegments(...offset).forEach(({p1: op1, p2: op2}) => {
+            [0.1, 0.5, 0.9].forEach((t) => {
+                const pt = dp.getPointOnCurve(t, op1, op2);
+                c.assertCloseTo(dp.getClosestPointOnCurve(pt, dp.origin, p2).distance, 5, tolerance * 2);
+            });
+        });
+    });
+    it("should extend outside corners to a miter", function () {
+        const offset = dp.offsetPath(square, -1);
+        const corners = getDrawnPoints(offset);
+        [dp.point(-1, -1), dp.point(11, -1), dp.point(11, 11), dp.point(-1, 11)].forEach((corner) => {
+            assert(corners.some(pt => c.closeTo(dp.norm(dp.diff(pt, corner)), 0, 1e-9)),
+                `${JSON.stringify(corner)} is a corner`);
+        });
+        assert.strictEqual(offset[offset.length - 1], dp.endPoint);
+        assert.deepStrictEqual(corners[0], corners[corners.length - 1]);
+    });
+    it("should bevel miters that are too long", function () {
+        const offset = dp.offsetPath(square, -1, {miterLimit: 1});
+        const corners = getDrawnPoints(offset);
+        // 2 points per side and back to start
+        assert.strictEqual(corners.length, 9);
+        assert(corners.every(pt => pt.x >= -1 && pt.x <= 11 && pt.y >= -1 && pt.y <= 11));
+        assert(corners.every(pt => !(Math.abs(pt.x - 5) > 5.5 && Math.abs(pt.y - 5) > 5.5)));
+    });
+    it("should round outside corners at the offset distance from the corner", function () {
+        const offset = dp.offsetPath(square, -2, {join: "round"});
+        const segments = dp.getSegments(...offset).filter(({p2}) => p2.cp1);
+        assert.strictEqual(segments.length, 4);
+        segments.forEach(({p1, p2}) => {
+            const corner = dp.point(p2.x < 5 || p1.x < 5 ? 0 : 10, p2.y < 5 || p1.y < 5 ? 0 : 10);
+            c.assertCloseTo(dp.norm(dp.diff(corner, dp.getPointOnCurve(0.5, p1, p2))), 2, 0.01);
+        });
+    });
+    it("should trim inside corners to where they cross", function () {
+        const offset = dp.offsetPath(square, 1);
+        const corners = getDrawnPoints(offset);
+        assert.strictEqual(corners.length, 5);
+        [dp.point(1, 1), dp.point(9, 1), dp.point(9, 9), dp.point(1, 9)].forEach((corner) => {
+            assert(corners.some(pt => c.closeTo(dp.norm(dp.diff(pt, corner)), 0, 1e-6)),
+                `${JSON.stringify(corner)} is a corner`);
+        });
+    });
+    it("should keep subpaths separate", function () {
+        const offset = dp.offsetPath([dp.point(0, 0), dp.point(10, 0), dp.breakPoint,
+            dp.point(0, 10), dp.point(10, 10)], 1);
+        assert.deepStrictEqual(offset, [dp.point(0, 1), dp.point(10, 1), dp.breakPoint,
+            dp.point(0, 11), dp.point(10, 11)]);
+    });
+});
+
+describe("#strokeToOutline", function () {
+    it("should outline a line as a rectangle with butt caps", function () {
+        const outline = dp.strokeToOutline([dp.point(0, 0), dp.point(10, 0)], 2);
+        assert.deepStrictEqual(getDrawnPoints(outline), [dp.point(0, 1), dp.point(10, 1),
+            dp.point(10, -1), dp.point(0, -1), dp.point(0, 1)]);
+        assert.strictEqual(outline[outline.length - 1], dp.endPoint);
+    });
+    it("should cap ends that are drawn twice the same as other ends", function () {
+        const rectangle = [dp.point(0, 1), dp.point(10, 1), dp.point(10, -1), dp.point(0, -1), dp.point(0, 1)];
+        [[dp.point(0, 0), dp.point(10, 0), dp.point(10, 0)],
+            [dp.point(0, 0), dp.point(0, 0), dp.point(10, 0)]].forEach((line) => {
+            assert.deepStrictEqual(getDrawnPoints(dp.strokeToOutline(line, 2)), rectangle);
+        });
+        const box = dp.getPathBoundingBox(...dp.strokeToOutline([dp.point(0, 0), dp.point(10, 0),
+            dp.point(10, 0)], 2, {cap: "square"}));
+        c.assertDeepCloseTo(box, {min: dp.point(-1, -1), max: dp.point(11, 1)});
+    });
+    it("should extend square caps by half the width", function () {
+        const box = dp.getPathBoundingBox(...dp.strokeToOutline([dp.point(0, 0), dp.point(10, 0)], 2,
+            {cap: "square"}));
+        c.assertDeepCloseTo(box, {min: dp.point(-1, -1), max: dp.point(11, 1)});
+    });
+    it("should round caps with half the width", function () {
+        const box = dp.getPathBoundingBox(...dp.strokeToOutline([dp.point(0, 0), dp.point(10, 0)], 2,
+            {cap: "round"}));
+        c.assertDeepCloseTo(box, {min: dp.point(-1, -1), max: dp.point(11, 1)}, 1e-9);
+    });
+    it("should outline closed paths as a ring going both ways", function () {
+        const outline = dp.strokeToOutline(square, 2);
+        const rings = dp.getSubpaths(...outline).filter(subpath => subpath.points.length > 1);
+        assert.strictEqual(rings.length, 2);
+        c.assertDeepCloseTo(dp.getPathBoundingBox(...dp.joinSubpaths(rings[0])),
+            {min: dp.point(1, 1), max: dp.point(9, 9)}, 1e-6);
+        c.assertDeepCloseTo(dp.getPathBoundingBox(...dp.joinSubpaths(rings[1])),
+            {min: dp.point(-1, -1), max: dp.point(11, 11)}, 1e-6);
+        function signedArea(points) {
+            let area = 0;
+            for (let i = 1; i < points.length; ++i) {
+                area += points[i - 1].x * points[i].y - points[i].x * points[i - 1].y;
+            }
+            return area;
+        }
+        // opposite windings
+        assert(signedArea(rings[0].points) * signedArea(rings[1].points) < 0);
+    });
+    it("should skip subpaths that don't go anywhere", function () {
+        assert.deepStrictEqual(dp.strokeToOutline([dp.point(1, 1), dp.point(1, 1)], 2), []);
+    });
+});
@@ -0,0 +1,497 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+describe("#getSegments", function () {
+    const points = c.getRandomPoints(6);
+    it("should pair each drawn point with the point before it", function () {
+        const segments = dp.getSegments(...points);
+        assert.strictEqual(segments.length, points.length - 1);
+        segments.forEach((segment, i) => {
+            assert.strictEqual(segment.p1, points[i]);
+            assert.strictEqual(segment.p2, points[i + 1]);
+            assert.strictEqual(segment.index, i + 1);
+        });
+    });
+    it("should skip missing points and sentinels", function () {
+        const segments = dp.getSegments(null, points[0], null, points[1], dp.endPoint, points[2]);
+        assert.strictEqual(segments.length, 2);
+        assert.strictEqual(segments[0].p1, points[0]);
+        assert.strictEqual(segments[0].index, 3);
+        assert.strictEqual(segments[1].p1, points[1]);
+        assert.strictEqual(segments[1].index, 5);
+    });
+    it("should move to the point after breakPoint", function () {
+        const segments = dp.getSegments(points[0], points[1], dp.breakPoint, points[2], points[3]);
+        assert.strictEqual(segments.length, 2);
+        assert.strictEqual(segments[1].p1, points[2]);
+        assert.strictEqual(segments[1].p2, points[3]);
+    });
+});
+
+describe("#getPathLength", function () {
+    it("should be 0 when nothing is drawn", function () {
+        assert.strictEqual(dp.getPathLength(), 0);
+        assert.strictEqual(dp.getPathLength(dp.point(1, 1)), 0);
+    });
+    it("should sum up line lengths and ignore jumps between subpaths", function () {
+        const length = dp.getPathLength(dp.point(0, 0), dp.point(3, 4), dp.breakPoint,
+            dp.point(100, 100), dp.point(100, 110));
+        c.assertCloseTo(length, 15);
+    });
+    it("should approximate the circumference of a circle", function () {
+        const r = c.randInt(1, 100);
+        c.assertCloseTo(dp.getPathLength(...dp.drawCircle(c.getRandomPoint(), r)),
+            2 * Math.PI * r, r * 0.002);
+    });
+    it("should include the line back to the start of closed subpaths", function () {
+        const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+        c.assertCloseTo(dp.getPathLength(...square), 40);
+        // not counted twice when the subpath already ends at its start
+        c.assertCloseTo(dp.getPathLength(...square.slice(0, 4), dp.point(0, 0), dp.endPoint), 40);
+        c.assertCloseTo(dp.getPathLength(...square, dp.breakPoint, dp.point(20, 0), dp.point(25, 0)), 45);
+    });
+});
+
+describe("#getPointAtLength", function () {
+    it("should be null when nothing is drawn", function () {
+        assert.strictEqual(dp.getPointAtLength(5), null);
+    });
+    it("should find points along lines across segments", function () {
+        const points = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10)];
+        c.assertDeepCloseTo(dp.getPointAtLength(5, ...points), dp.point(5, 0));
+        c.assertDeepCloseTo(dp.getPointAtLength(15, ...points), dp.point(10, 5));
+        c.assertDeepCloseTo(dp.getPointAtLength(100, ...points), dp.point(10, 10));
+        c.assertDeepCloseTo(dp.getPointAtLength(-1, ...points), dp.point(0, 0));
+    });
+    it("should go back to the start of closed subpaths", function () {
+        const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+        c.assertDeepCloseTo(dp.getPointAtLength(35, ...square), dp.point(0, 5));
+        c.assertDeepCloseTo(dp.getPointAtLength(100, ...square), dp.point(0, 0));
+    });
+    it("should space points evenly around a circle", function () {
+        const center = c.getRandomPoint();
+        const r = c.randInt(10, 100);
+        const points = dp.drawCircle(center, r);
+        const length = dp.getPathLength(...points);
+        // circle starts at the top and goes clockwise
+        [0, 0.125, 0.3, 0.5, 0.8].forEach((fraction) => {
+            const pt = dp.getPointAtLength(fraction * length, ...points);
+            const angle = Math.PI / 2 - fraction * 2 * Math.PI;
+            c.assertDeepCloseTo(pt, dp.add(center, dp.point(Math.cos(angle), Math.sin(angle)), r),
+                r * 0.001);
+        });
+    });
+});
+
+describe("#getPathBoundingBox", function () {
+    it("should be null when nothing is drawn", function () {
+        assert.strictEqual(dp.getPathBoundingBox(dp.point(1, 2)), null);
+    });
+    it("should bound a circle by its radius", function () {
+        const center = c.getRandomPoint();
+        const r = c.randInt(1, 50);
+        c.assertDeepCloseTo(dp.getPathBoundingBox(...dp.drawCircle(center, r)), {
+            min: dp.point(center.x - r, center.y - r),
+            max: dp.point(center.x + r, center.y + r),
+        }, 1e-9);
+    });
+    it("should cover every subpath", function () {
+        const box = dp.getPathBoundingBox(dp.point(0, 0), dp.point(1, 1), dp.breakPoint,
+            dp.point(-5, 10), dp.point(-4, 12), null, dp.endPoint);
+        assert.deepStrictEqual(box, {min: dp.point(-5, 0), max: dp.point(1, 12)});
+    });
+});
+
+describe("#getClosestPointOnPath", function () {
+    it("should be null when nothing is drawn", function () {
+        assert.strictEqual(dp.getClosestPointOnPath(dp.origin), null);
+    });
+    it("should pick the closest segment and report where it is in the list", function () {
+        const points = [dp.point(0, 0), dp.point(10, 0), null, dp.point(10, 10), dp.breakPoint,
+            dp.point(20, 20), dp.point(30, 20)];
+        c.assertDeepCloseTo(dp.getClosestPointOnPath(dp.point(12, 6), ...points),
+            {x: 10, y: 6, t: 0.6, distance: 2, index: 3});
+        c.assertDeepCloseTo(dp.getClosestPointOnPath(dp.point(25, 25), ...points),
+            {x: 25, y: 20, t: 0.5, distance: 5, index: 6});
+    });
+    it("should snap onto a circle", function () {
+        const center = c.getRandomPoint();
+        const r = c.randInt(5, 50);
+        const closest = dp.getClosestPointOnPath(dp.add(center, dp.point(2 * r, r)),
+            ...dp.drawCircle(center, r));
+        c.assertCloseTo(closest.distance, (Math.sqrt(5) - 1) * r, r * 0.001);
+    });
+});
+
+describe("#insertPoint", function () {
+    it("should not change the path's shape", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), c.randInt(5, 50));
+        const inserted = dp.insertPoint(2, 0.3, ...points);
+        assert.strictEqual(inserted.length, points.length + 1);
+        c.assertCloseTo(dp.getPathLength(...inserted), dp.getPathLength(...points), 1e-6);
+        c.assertDeepCloseTo(dp.getPointOnCurve(1, inserted[1], inserted[2]),
+            dp.getPointOnCurve(0.3, points[1], points[2]));
+        c.assertDeepCloseTo(dp.getPointOnCurve(0.5, inserted[2], inserted[3]),
+            dp.getPointOnCurve(0.65, points[1], points[2]));
+    });
+    it("should not modify the original points", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), c.randInt(5, 50));
+        const original = dp.clone(points);
+        dp.insertPoint(1, 0.5, ...points);
+        assert.deepStrictEqual(points, original);
+    });
+    it("should leave the path unchanged if the index does not end a segment", function () {
+        const points = [dp.point(0, 0), dp.breakPoint, dp.point(1, 1)];
+        assert.deepStrictEqual(dp.insertPoint(2, 0.5, ...points), points);
+        assert.deepStrictEqual(dp.insertPoint(0, 0.5, ...points), points);
+    });
+    it("should keep quadratic curves quadratic when split", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp2 = dp.point(5, 10);
+        const inserted = dp.insertPoint(1, 0.5, dp.origin, p2);
+        assert.strictEqual(inserted[2].cp2, undefined);
+        c.assertDeepCloseTo(dp.getPointOnCurve(0.5, inserted[1], inserted[2]),
+            dp.getPointOnCurve(0.75, dp.origin, p2));
+    });
+});
+
+describe("#getSubpaths, #joinSubpaths", function () {
+    const points = [dp.point(0, 0), dp.point(5, 1), dp.point(-3, 2), dp.point(4, 4), dp.point(8, -2)];
+    it("should split at breakPoint and mark endPoint as closed", function () {
+        const subpaths = dp.getSubpaths(points[0], points[1], dp.endPoint, dp.breakPoint,
+            points[2], null, points[3], points[4]);
+        assert.deepStrictEqual(subpaths, [
+            {points: [points[0], points[1]], closed: true},
+            {points: [points[2], points[3], points[4]], closed: false},
+        ]);
+    });
+    it("should continue from the end of a closed subpath", function () {
+        const subpaths = dp.getSubpaths(points[0], points[1], dp.endPoint, points[2]);
+        assert.strictEqual(subpaths.length, 2);
+        assert.deepStrictEqual(subpaths[1].points, [dp.extractPoint(points[1]), points[2]]);
+    });
+    it("should give back the same drawing when joined", function () {
+        const drawing = [points[0], points[1], dp.endPoint, dp.breakPoint, points[2], points[3]];
+        assert.deepStrictEqual(dp.joinSubpaths(...dp.getSubpaths(...drawing)), drawing);
+    });
+});
+
+describe("#reverseSubpath", function () {
+    it("should trace the same curves backwards", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), c.randInt(1, 50));
+        points[2] = dp.point(points[2].x, points[2].y);
+        points[3].cp2 = undefined;
+        const reversed = dp.reverseSubpath({points, closed: false});
+        assert.strictEqual(reversed.points.length, points.length);
+        const n = points.length - 1;
+        for (let i = 1; i <= n; ++i) {
+            [0, 0.3, 1].forEach((t) => {
+                c.assertDeepCloseTo(dp.getPointOnCurve(t, points[i - 1], points[i]),
+                    dp.getPointOnCurve(1 - t, reversed.points[n - i], reversed.points[n - i + 1]));
+            });
+        }
+    });
+    it("should give back the original when reversed twice", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), c.randInt(1, 50));
+        // control points on the start point aren't drawn so they aren't kept
+        points[0] = dp.extractPoint(points[0]);
+        const subpath = {points, closed: true};
+        assert.deepStrictEqual(dp.reverseSubpath(dp.reverseSubpath(subpath)), subpath);
+    });
+});
+
+describe("Path", function () {
+    const drawing = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.endPoint, dp.breakPoint,
+        dp.point(20, 20), null, dp.point(30, 20)];
+    drawing[2].cp1 = dp.point(15, 5);
+
+    it("should turn back into the same list of draw points", function () {
+        const path = dp.Path.fromPoints(...drawing);
+        assert.strictEqual(path.subpaths.length, 2);
+        assert.deepStrictEqual(path.toPoints(), drawing.filter(p => p !== null));
+        assert.strictEqual(path.toPoints()[3], dp.endPoint);
+        assert.strictEqual(path.toPoints()[4], dp.breakPoint);
+    });
+    it("should iterate over segments as pairs", function () {
+        const path = dp.Path.fromPoints(...drawing);
+        const pairs = [];
+        for (const pair of path) {
+            pairs.push(pair);
+        }
+        assert.deepStrictEqual(pairs, [[drawing[0], drawing[1]], [drawing[1], drawing[2]],
+            [drawing[5], drawing[7]]]);
+        const subpathIndices = [];
+        path.forEachSegment((p1, p2, subpathIndex) => subpathIndices.push(subpathIndex));
+        assert.deepStrictEqual(subpathIndices, [0, 0, 1]);
+        assert.deepStrictEqual(path.segments().map(({p1, p2}) => [p1, p2]), pairs);
+    });
+    it("should draw the same as drawPoints", function () {
+        function record(draw) {
+            const calls = [];
+            const ctx = {};
+            ["moveTo", "lineTo", "quadraticCurveTo", "bezierCurveTo"].forEach((method) => {
+                ctx[method] = (...args) => calls.push([method, ...args]);
+            });
+            draw(ctx);
+            return calls;
+        }
+        const path = dp.Path.fromPoints(...drawing);
+        assert.deepStrictEqual(record(ctx => path.draw(ctx)), record(ctx => dp.drawPoints(ctx, ...drawing)));
+    });
+    it("should clone without sharing points", function () {
+        const path = dp.Path.fromPoints(...drawing);
+        const copy = path.clone();
+        assert.deepStrictEqual(copy, path);
+        copy.subpaths[0].points[2].cp1.x = 100;
+        assert.strictEqual(drawing[2].cp1.x, 15);
+    });
+    it("should reverse the drawing direction and subpath order", function () {
+        const path = dp.Path.fromPoints(...drawing);
+        const reversed = path.reverse();
+        assert.deepStrictEqual(reversed.subpaths[0].points, [dp.point(30, 20), dp.point(20, 20)]);
+        assert.strictEqual(reversed.subpaths[1].closed, true);
+        assert.deepStrictEqual(reversed.reverse(), dp.Path.fromPoints(...drawing.map(p =>
+            (p && p.hasOwnProperty("x")) ? Object.assign(dp.point(p.x, p.y), p.cp1 ? {cp1: p.cp1} : {}) : p)));
+    });
+    it("should transform points and control points into a new path", function () {
+        const path = dp.Path.fromPoints(...drawing);
+        const moved = path.transform(pt => dp.add(pt, dp.point(1, 2)));
+        const movedPoints = moved.toPoints();
+        assert.strictEqual(movedPoints[3], dp.endPoint);
+        assert.strictEqual(movedPoints[4], dp.breakPoint);
+        movedPoints.forEach((p, i) => {
+            if (p.hasOwnProperty("x")) {
+                assert.deepStrictEqual(p, dp.adjust(path.toPoints()[i], 1, 2));
+            }
+        });
+        assert.deepStrictEqual(path.toPoints(), drawing.filter(p => p !== null));
+    });
+});
+
+describe("Path#transform", function () {
+    it("should accept a matrix", function () {
+        const points = dp.drawCircle(dp.point(3, 4), 10);
+        const m = dp.rotateMatrix(0.7, dp.point(-2, 1));
+        assert.deepStrictEqual(dp.Path.fromPoints(...points).transform(m).toPoints(),
+            dp.transformPoints(m, ...points));
+    });
+});
+
+describe("#isPointInPath", function () {
+    const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+    const circle = dp.drawCircle(dp.point(5, 5), 5);
+
+    it("should test points against lines", function () {
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...square), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(15, 5), ...square), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(-5, 5), ...square), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 11), ...square), false);
+    });
+    it("should treat open subpaths as closed", function () {
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...square.slice(0, 4)), true);
+    });
+    it("should test points against curves analytically", function () {
+        // just inside and outside the circle where the square's corner would be
+        const inside = dp.add(dp.point(5, 5), dp.getUnitVector(dp.point(1, 1)), 4.99);
+        const outside = dp.add(dp.point(5, 5), dp.getUnitVector(dp.point(1, 1)), 5.01);
+        assert.strictEqual(dp.isPointInPath(inside, ...circle), true);
+        assert.strictEqual(dp.isPointInPath(outside, ...circle), false);
+        // rays going through where the curves meet and through their extrema
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...circle), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(-1, 5), ...circle), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(2, 10), ...circle), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(2, 0), ...circle), false);
+        // close to the top where the first point has control points
+        assert.strictEqual(dp.isPointInPath(dp.point(3.25, 9.75), ...circle), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(3.5, 9.7), ...circle), true);
+    });
+    it("should apply the fill rule to overlapping subpaths", function () {
+        // inner square going the same way as the outer one
+        const nested = square.concat([dp.breakPoint, dp.point(2, 2), dp.point(8, 2), dp.point(8, 8),
+            dp.point(2, 8), dp.endPoint]);
+        assert.strictEqual(dp.getWindingNumber(dp.point(5, 5), ...nested), 2);
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...nested), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...nested, {fillRule: "nonzero"}), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...nested, {fillRule: "evenodd"}), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(1, 5), ...nested, {fillRule: "evenodd"}), true);
+    });
+    it("should count winding direction", function () {
+        const reversed = dp.reverseSubpath({points: circle, closed: true}).points;
+        assert.strictEqual(dp.getWindingNumber(dp.point(5, 5), ...circle), -1);
+        assert.strictEqual(dp.getWindingNumber(dp.point(5, 5), ...reversed), 1);
+        // a hole cut out by going the other way
+        const withHole = square.concat([dp.breakPoint], dp.drawCircle(dp.point(5, 5), 2));
+        assert.strictEqual(dp.isPointInPath(dp.point(5, 5), ...withHole), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(1, 1), ...withHole), true);
+    });
+    it("should agree with sampling the fill of a self-intersecting curve", function () {
+        const p1 = dp.point(0, 0);
+        const p2 = dp.point(0, 0);
+        p2.cp1 = dp.point(40, 30);
+        p2.cp2 = dp.point(-40, 30);
+        // loop that crosses itself at the top
+        const points = [p1, p2];
+        assert.strictEqual(dp.isPointInPath(dp.point(0, 10), ...points), true);
+        assert.strictEqual(dp.isPointInPath(dp.point(0, 30), ...points), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(0, -1), ...points), false);
+    });
+    it("should be false for empty paths", function () {
+        assert.strictEqual(dp.isPointInPath(dp.point(0, 0)), false);
+        assert.strictEqual(dp.isPointInPath(dp.point(0, 0), {fillRule: "evenodd"}), false);
+    });
+});
+
+describe("#flattenPath", function () {
+    it("should keep lines as they are", function () {
+        const points = [dp.point(0, 0), dp.point(10, 0), dp.breakPoint, dp.point(5, 5), dp.point(5, 10)];
+        assert.deepStrictEqual(dp.flattenPath(points), [[dp.point(0, 0), dp.point(10, 0)],
+            [dp.point(5, 5), dp.point(5, 10)]]);
+    });
+    it("should stay within tolerance of curves", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 50);
+        [1, 0.1, 0.01].forEach((tolerance) => {
+            const [polyline] = dp.flattenPath(circle, tolerance);
+            for (let i = 1; i < polyline.length; ++i) {
+                const mid = dp.getPointOnLine(0.5, polyline[i - 1], polyline[i]);
+                const closest = dp.getClosestPointOnPath(mid, ...circle);
+                assert(closest.distance <= tolerance);
+            }
+            // every point of the polyline is on the circle
+            polyline.forEach(pt => assert(dp.getClosestPointOnPath(pt, ...circle).distance < 1e-6));
+        });
+    });
+    it("should use more points for tighter tolerances and tighter curves", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 50);
+        assert(dp.flattenPath(circle, 0.01)[0].length > dp.flattenPath(circle, 1)[0].length);
+        const small = dp.drawCircle(dp.point(0, 0), 5);
+        assert(dp.flattenPath(small, 0.1)[0].length < dp.flattenPath(circle, 0.1)[0].length);
+    });
+    it("should end closed subpaths where they start", function () {
+        const [polyline] = dp.flattenPath([dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.endPoint]);
+        assert.deepStrictEqual(polyline, [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 0)]);
+    });
+    it("should give plain points", function () {
+        const [polyline] = dp.flattenPath(dp.drawCircle(dp.point(0, 0), 10));
+        polyline.forEach(pt => assert.deepStrictEqual(Object.keys(pt), ["x", "y"]));
+    });
+});
+
+describe("#subPath", function () {
+    const line = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10)];
+
+    it("should cut lines at the given distances", function () {
+        c.assertDeepCloseTo(dp.subPath(line, 5, 15), [dp.point(5, 0), dp.point(10, 0), dp.point(10, 5)]);
+        c.assertDeepCloseTo(dp.subPath(line, 2, 7), [dp.point(2, 0), dp.point(7, 0)]);
+        c.assertDeepCloseTo(dp.subPath(line, 12, 100), [dp.point(10, 2), dp.point(10, 10)]);
+    });
+    it("should give the whole path for its whole length", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const expected = [dp.extractPoint(circle[0])].concat(circle.slice(1));
+        c.assertDeepCloseTo(dp.subPath(circle, 0, dp.getPathLength(...circle)), expected, 1e-9);
+        c.assertDeepCloseTo(dp.subPath(circle, -5, 1000), expected, 1e-9);
+    });
+    it("should split curves exactly where the distances land", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const total = dp.getPathLength(...circle);
+        const part = dp.subPath(circle, total / 8, total * 5 / 8);
+        c.assertCloseTo(dp.getPathLength(...part), total / 2, 1e-6);
+        c.assertDeepCloseTo(part[0], dp.getPointAtLength(total / 8, ...circle), 1e-9);
+        c.assertDeepCloseTo(dp.extractPoint(part[part.length - 1]), dp.getPointAtLength(total * 5 / 8, ...circle),
+            1e-9);
+        // every part of it is still on the circle
+        dp.getSegments(...part).forEach(({p1, p2}) => {
+            c.assertCloseTo(dp.norm(dp.getPointOnCurve(0.5, p1, p2)), 10, 1e-2);
+        });
+    });
+    it("should keep subpaths apart", function () {
+        const points = line.concat([dp.breakPoint, dp.point(20, 0), dp.point(30, 0)]);
+        c.assertDeepCloseTo(dp.subPath(points, 15, 25), [dp.point(10, 5), dp.point(10, 10), dp.breakPoint,
+            dp.point(20, 0), dp.point(25, 0)]);
+    });
+    it("should go back to the start of closed subpaths as dashPath does", function () {
+        const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.endPoint];
+        c.assertDeepCloseTo(dp.subPath(square, 25, 40), [dp.point(5, 10), dp.point(0, 10), dp.point(0, 0)]);
+        c.assertDeepCloseTo(dp.subPath(square, 25, 40), dp.dashPath(square, [15, 25], 15), 1e-9);
+    });
+    it("should be empty for nothing", function () {
+        assert.deepStrictEqual(dp.subPath(line, 5, 5), []);
+        assert.deepStrictEqual(dp.subPath(line, 7, 2), []);
+        assert.deepStrictEqual(dp.subPath([], 0, 5), []);
+    });
+    it("should not modify the path", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const original = dp.clone(circle);
+        dp.subPath(circle, 3, 30);
+        assert.deepStrictEqual(circle, original);
+    });
+});
+
+describe("#dashPath", function () {
+    const line = [dp.point(0, 0), dp.point(10, 0)];
+
+    it("should alternate dashes and gaps", function () {
+        c.assertDeepCloseTo(dp.dashPath(line, [3, 1]), [
+            dp.point(0, 0), dp.point(3, 0), dp.breakPoint,
+            dp.point(4, 0), dp.point(7, 0), dp.breakPoint,
+            dp.point(8, 0), dp.point(10, 0)]);
+    });
+    it("should repeat odd patterns", function () {
+        c.assertDeepCloseTo(dp.dashPath(line, [4]), [dp.point(0, 0), dp.point(4, 0), dp.breakPoint,
+            dp.point(8, 0), dp.point(10, 0)]);
+    });
+    it("should start into the pattern by the offset", function () {
+        c.assertDeepCloseTo(dp.dashPath(line, [3, 1], 2), [
+            dp.point(0, 0), dp.point(1, 0), dp.breakPoint,
+            dp.point(2, 0), dp.point(5, 0), dp.breakPoint,
+            dp.point(6, 0), dp.point(9, 0)]);
+        c.assertDeepCloseTo(dp.dashPath(line, [3, 1], -1), dp.dashPath(line, [3, 1], 3));
+    });
+    it("should dash the line back to the start of closed subpaths", function () {
+        const triangle = [dp.point(0, 0), dp.point(3, 0), dp.point(3, 4), dp.endPoint];
+        const dashes = dp.getSubpaths(...dp.dashPath(triangle, [6, 6]));
+        assert.strictEqual(dashes.length, 1);
+        c.assertDeepCloseTo(dashes[0].points, [dp.point(0, 0), dp.point(3, 0), dp.point(3, 3)]);
+        const all = dp.dashPath(triangle, [10, 1]);
+        c.assertCloseTo(dp.getPathLength(...all), 11, 1e-9);
+    });
+    it("should restart the pattern for each subpath", function () {
+        const points = line.concat([dp.breakPoint, dp.point(0, 5), dp.point(10, 5)]);
+        const dashes = dp.getSubpaths(...dp.dashPath(points, [3, 1]));
+        assert.strictEqual(dashes.length, 6);
+        c.assertDeepCloseTo(dashes[3].points, [dp.point(0, 5), dp.point(3, 5)]);
+    });
+    it("should keep total dash length along curves", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const total = dp.getPathLength(...circle);
+        const dashes = dp.dashPath(circle, [total / 8]);
+        assert.strictEqual(dp.getSubpaths(...dashes).length, 4);
+        c.assertCloseTo(dp.getPathLength(...dashes), total / 2, 1e-6);
+    });
+    it("should keep dashes of length 0 as dots", function () {
+        c.assertDeepCloseTo(dp.dashPath(line, [0, 5]), [
+            dp.point(0, 0), dp.point(0, 0), dp.breakPoint,
+            dp.point(5, 0), dp.point(5, 0), dp.breakPoint,
+            dp.point(10, 0), dp.point(10, 0)]);
+    });
+    it("should dash long curved paths quickly and exactly", function () {
+        const wave = [dp.point(0, 0)];
+        for (let i = 1; i <= 200; ++i) {
+            const p = dp.point(10 * i, 0);
+            p.cp1 = dp.point(10 * i - 7, (i % 2) ? 5 : -5);
+            p.cp2 = dp.point(10 * i - 3, (i % 2) ? 5 : -5);
+            wave.push(p);
+        }
+        const total = dp.getPathLength(...wave);
+        const started = Date.now();
+        const dashes = dp.dashPath(wave, [1, 1]);
+        assert(Date.now() - started < 10000, "dashing took too long");
+        assert.strictEqual(dp.getSubpaths(...dashes).length, Math.ceil(total / 2));
+        c.assertCloseTo(dp.getPathLength(...dashes), total / 2, 1);
+    });
+    it("should leave the path alone for invalid patterns", function () {
+        assert.deepStrictEqual(dp.dashPath(line, []), line);
+        assert.deepStrictEqual(dp.dashPath(line, [0, 0]), line);
+        assert.deepStrictEqual(dp.dashPath(line, [3, -1]), line);
+    });
+});
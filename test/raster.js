@@ -0,0 +1,139 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const zlib = require("zlib");
+const c = require("./common");
+
+function getPixel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.data.slice(i, i + 4));
+}
+
+function getTotalAlpha(image) {
+    let total = 0;
+    for (let i = 3; i < image.data.length; i += 4) {
+        total += image.data[i] / 255;
+    }
+    return total;
+}
+
+describe("#createImage", function () {
+    it("should be fully transparent", function () {
+        const image = dp.createImage(3, 2);
+        assert.strictEqual(image.width, 3);
+        assert.strictEqual(image.height, 2);
+        assert.strictEqual(image.data.length, 24);
+        assert(image.data.every(v => v === 0));
+    });
+});
+
+describe("#fillPath", function () {
+    const square = [dp.point(2, 2), dp.point(8, 2), dp.point(8, 8), dp.point(2, 8), dp.endPoint];
+
+    it("should fill pixels inside and leave those outside", function () {
+        const image = dp.fillPath(dp.createImage(10, 10), square, {color: [255, 0, 0, 255]});
+        assert.deepStrictEqual(getPixel(image, 5, 5), [255, 0, 0, 255]);
+        assert.deepStrictEqual(getPixel(image, 2, 2), [255, 0, 0, 255]);
+        assert.deepStrictEqual(getPixel(image, 1, 5), [0, 0, 0, 0]);
+        assert.deepStrictEqual(getPixel(image, 8, 5), [0, 0, 0, 0]);
+        c.assertCloseTo(getTotalAlpha(image), 36, 1e-9);
+    });
+    it("should anti-alias edges that cut through pixels", function () {
+        const half = [dp.point(0.5, 0), dp.point(4, 0), dp.point(4, 4), dp.point(0.5, 4)];
+        const image = dp.fillPath(dp.createImage(4, 4), half);
+        c.assertCloseTo(getPixel(image, 0, 1)[3], 127.5, 1);
+        assert.strictEqual(getPixel(image, 1, 1)[3], 255);
+        // curves get partial coverage over their whole outline
+        const circle = dp.fillPath(dp.createImage(20, 20), dp.drawCircle(dp.point(10, 10), 6), {tolerance: 0.01});
+        c.assertCloseTo(getTotalAlpha(circle), Math.PI * 36, 0.5);
+    });
+    it("should follow the fill rule", function () {
+        const nested = square.concat([dp.breakPoint, dp.point(4, 4), dp.point(6, 4), dp.point(6, 6),
+            dp.point(4, 6), dp.endPoint]);
+        const nonzero = dp.fillPath(dp.createImage(10, 10), nested);
+        assert.strictEqual(getPixel(nonzero, 5, 5)[3], 255);
+        const evenodd = dp.fillPath(dp.createImage(10, 10), nested, {fillRule: "evenodd"});
+        assert.strictEqual(getPixel(evenodd, 5, 5)[3], 0);
+        assert.strictEqual(getPixel(evenodd, 3, 3)[3], 255);
+    });
+    it("should blend colors over what is already drawn", function () {
+        const image = dp.fillPath(dp.createImage(10, 10), square, {color: [0, 0, 255, 255]});
+        dp.fillPath(image, square, {color: [255, 0, 0, 128]});
+        const [r, g, b, a] = getPixel(image, 5, 5);
+        c.assertCloseTo(r, 128, 1);
+        assert.strictEqual(g, 0);
+        c.assertCloseTo(b, 127, 1);
+        assert.strictEqual(a, 255);
+    });
+    it("should apply a transform", function () {
+        const image = dp.fillPath(dp.createImage(20, 20), square, {transform: dp.scaleMatrix(2)});
+        c.assertCloseTo(getTotalAlpha(image), 144, 1e-9);
+        assert.strictEqual(getPixel(image, 15, 15)[3], 255);
+    });
+    it("should clip to the image", function () {
+        const image = dp.fillPath(dp.createImage(5, 5), square);
+        c.assertCloseTo(getTotalAlpha(image), 9, 1e-9);
+    });
+    it("should fill paths flattened into more edges than a function takes arguments", function () {
+        // flattening this finely takes a few seconds by itself
+        this.timeout(20000);
+        const circle = dp.drawCircle(dp.point(5, 5), 4);
+        assert(dp.flattenPath(circle, 1e-12)[0].length > 200000);
+        const fine = dp.fillPath(dp.createImage(10, 10), circle, {tolerance: 1e-12});
+        const coarse = dp.fillPath(dp.createImage(10, 10), circle, {tolerance: 1e-3});
+        c.assertCloseTo(getTotalAlpha(fine), getTotalAlpha(coarse), 0.05);
+    });
+});
+
+describe("#strokePath", function () {
+    it("should draw lines as wide as the line width", function () {
+        const line = [dp.point(2, 5), dp.point(18, 5)];
+        const thin = dp.strokePath(dp.createImage(20, 10), line);
+        c.assertCloseTo(getTotalAlpha(thin), 16, 1e-6);
+        const thick = dp.strokePath(dp.createImage(20, 10), line, {lineWidth: 4, color: [0, 255, 0, 255]});
+        c.assertCloseTo(getTotalAlpha(thick), 64, 1e-6);
+        assert.deepStrictEqual(getPixel(thick, 10, 3), [0, 255, 0, 255]);
+        assert.strictEqual(getPixel(thick, 10, 7)[3], 0);
+    });
+    it("should leave the inside of closed paths empty", function () {
+        const circle = dp.drawCircle(dp.point(10, 10), 6);
+        const image = dp.strokePath(dp.createImage(20, 20), circle, {lineWidth: 2});
+        assert.strictEqual(getPixel(image, 10, 10)[3], 0);
+        assert(getPixel(image, 10, 16)[3] > 240);
+    });
+    it("should scale the line width with the transform", function () {
+        const line = [dp.point(1, 2.5), dp.point(9, 2.5)];
+        const image = dp.strokePath(dp.createImage(20, 10), line, {lineWidth: 1, transform: dp.scaleMatrix(2)});
+        c.assertCloseTo(getTotalAlpha(image), 32, 1e-6);
+        assert.strictEqual(getPixel(image, 10, 4)[3], 255);
+        assert.strictEqual(getPixel(image, 10, 5)[3], 255);
+        assert.strictEqual(getPixel(image, 10, 6)[3], 0);
+    });
+});
+
+describe("#encodePNG", function () {
+    it("should give a PNG file holding the pixels", function () {
+        const image = dp.fillPath(dp.createImage(7, 3), [dp.point(0, 0), dp.point(3, 0), dp.point(3, 3),
+            dp.point(0, 3)], {color: [10, 20, 30, 255]});
+        const png = Buffer.from(dp.encodePNG(image));
+        assert.deepStrictEqual(Array.from(png.slice(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        assert.strictEqual(png.toString("latin1", 12, 16), "IHDR");
+        assert.strictEqual(png.readUInt32BE(16), 7);
+        assert.strictEqual(png.readUInt32BE(20), 3);
+        assert.strictEqual(png.toString("latin1", png.length - 8, png.length - 4), "IEND");
+
+        const idatLength = png.readUInt32BE(33);
+        assert.strictEqual(png.toString("latin1", 37, 41), "IDAT");
+        const raw = zlib.inflateSync(png.slice(41, 41 + idatLength));
+        assert.strictEqual(raw.length, 3 * (7 * 4 + 1));
+        for (let y = 0; y < 3; ++y) {
+            assert.strictEqual(raw[y * 29], 0);
+            assert.deepStrictEqual(Array.from(raw.slice(y * 29 + 1, (y + 1) * 29)),
+                Array.from(image.data.slice(y * 28, (y + 1) * 28)));
+        }
+    });
+    it("should checksum each chunk", function () {
+        const png = Buffer.from(dp.encodePNG(dp.createImage(1, 1)));
+        // known CRC of an empty IEND chunk
+        assert.strictEqual(png.readUInt32BE(png.length - 4), 0xae426082);
+    });
+});
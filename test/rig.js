@@ -0,0 +1,81 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+describe("Rig", function () {
+    // arm hanging from a shoulder, with the elbow defined before what it depends on
+    function makeArm(counts) {
+        const counted = (name, definition) => (points, parameters) => {
+            counts[name] = (counts[name] || 0) + 1;
+            return definition(points, parameters);
+        };
+        return new dp.Rig({x: 10, upperArm: 30, forearm: 20})
+            .define("hand", counted("hand", ({elbow}, {forearm}) => dp.adjust(elbow, 0, -forearm)))
+            .define("elbow", counted("elbow", ({shoulder}, {upperArm}) => dp.adjust(shoulder, 0, -upperArm)))
+            .define("shoulder", counted("shoulder", (points, {x}) => dp.point(x, 100)))
+            .define("head", counted("head", () => dp.point(0, 120)));
+    }
+
+    it("should evaluate points after the points they depend on", function () {
+        const rig = makeArm({});
+        c.assertDeepCloseTo(rig.get("hand"), dp.point(10, 50));
+        const order = rig.getOrder();
+        assert(order.indexOf("shoulder") < order.indexOf("elbow"));
+        assert(order.indexOf("elbow") < order.indexOf("hand"));
+        assert.deepStrictEqual(Object.keys(rig.getPoints()).sort(), ["elbow", "hand", "head", "shoulder"]);
+    });
+    it("should evaluate each point once until something it depends on changes", function () {
+        const counts = {};
+        const rig = makeArm(counts);
+        rig.getPoints();
+        rig.getPoints();
+        assert.deepStrictEqual(counts, {hand: 1, elbow: 1, shoulder: 1, head: 1});
+
+        rig.set({forearm: 25});
+        c.assertDeepCloseTo(rig.get("hand"), dp.point(10, 45));
+        assert.deepStrictEqual(counts, {hand: 2, elbow: 1, shoulder: 1, head: 1});
+
+        rig.set({x: 20});
+        rig.getPoints();
+        assert.deepStrictEqual(counts, {hand: 3, elbow: 2, shoulder: 2, head: 1});
+
+        // setting a parameter to what it already is changes nothing
+        rig.set({x: 20});
+        rig.getPoints();
+        assert.deepStrictEqual(counts, {hand: 3, elbow: 2, shoulder: 2, head: 1});
+    });
+    it("should re-evaluate dependents of redefined points", function () {
+        const counts = {};
+        const rig = makeArm(counts);
+        rig.getPoints();
+        rig.define("elbow", ({shoulder}) => dp.adjust(shoulder, 5, -10));
+        c.assertDeepCloseTo(rig.get("hand"), dp.point(15, 70));
+        assert.deepStrictEqual(counts, {hand: 2, elbow: 1, shoulder: 1, head: 1});
+    });
+    it("should let parameters be added after points are defined", function () {
+        const rig = new dp.Rig()
+            .define("p", (points, {scale = 1}) => dp.point(scale, scale));
+        c.assertDeepCloseTo(rig.get("p"), dp.point(1, 1));
+        rig.set({scale: 3});
+        c.assertDeepCloseTo(rig.get("p"), dp.point(3, 3));
+    });
+    it("should re-evaluate points that read a point before it was defined", function () {
+        const rig = new dp.Rig()
+            .define("a", ({b = dp.point(-1, -1)}) => dp.adjust(b, 1, 0));
+        c.assertDeepCloseTo(rig.get("a"), dp.point(0, -1));
+        rig.define("b", () => dp.point(5, 0));
+        c.assertDeepCloseTo(rig.get("a"), dp.point(6, 0));
+    });
+    it("should throw on cycles and unknown points", function () {
+        const rig = new dp.Rig()
+            .define("a", ({c}) => c)
+            .define("b", ({a}) => a)
+            .define("c", ({b}) => b);
+        assert.throws(() => rig.get("a"), /a -> c -> b -> a/);
+        assert.throws(() => rig.getOrder(), /cycle/);
+        assert.throws(() => rig.get("d"), /no point named d/);
+        // breaking the cycle makes the rig usable again
+        rig.define("c", () => dp.point(1, 2));
+        c.assertDeepCloseTo(rig.get("a"), dp.point(1, 2));
+    });
+});
@@ -0,0 +1,87 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+
+describe("#serialize, #deserialize", function () {
+    function roundTrip(drawing) {
+        return dp.deserialize(dp.serialize(drawing));
+    }
+
+    it("should keep sentinels as sentinels", function () {
+        const points = [dp.point(0, 0), dp.point(10, 0), dp.endPoint, dp.breakPoint, dp.point(5, 5), null];
+        const copy = roundTrip(points);
+        assert.deepStrictEqual(copy, points);
+        assert.strictEqual(copy[2], dp.endPoint);
+        assert.strictEqual(copy[3], dp.breakPoint);
+    });
+    it("should keep every property of the points", function () {
+        const p = dp.point(1, 2);
+        p.cp1 = dp.point(3, 4);
+        p.traceOptions = {point: {radius: 2, $weird: "$ref"}};
+        p.t = 0.25;
+        p.deflection = undefined;
+        p.width = Infinity;
+        p.offset = -0;
+        p.missing = NaN;
+        const copy = roundTrip([p])[0];
+        assert.deepStrictEqual(Object.keys(copy), Object.keys(p));
+        assert.deepStrictEqual(copy.traceOptions, p.traceOptions);
+        assert.strictEqual(copy.t, 0.25);
+        assert(copy.hasOwnProperty("deflection") && copy.deflection === undefined);
+        assert.strictEqual(copy.width, Infinity);
+        assert(Object.is(copy.offset, -0));
+        assert(Number.isNaN(copy.missing));
+    });
+    it("should keep points that are used in several places shared", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const drawing = {circle, outline: circle.slice(0, 2), extra: [circle[1]]};
+        const copy = roundTrip(drawing);
+        assert.deepStrictEqual(copy, drawing);
+        assert.strictEqual(copy.circle[0], copy.circle[4]);
+        assert.strictEqual(copy.outline[1], copy.circle[1]);
+        assert.strictEqual(copy.extra[0], copy.circle[1]);
+        assert.notStrictEqual(copy.circle[1], copy.circle[2]);
+    });
+    it("should round trip groups of named shapes", function () {
+        const drawing = {
+            star: dp.drawStar(dp.point(0, 0), 10, 5, 5),
+            pie: dp.drawPie(dp.point(0, 0), 10, 0, 1),
+        };
+        assert.deepStrictEqual(roundTrip(drawing), drawing);
+    });
+    it("should refuse what it can't read or write", function () {
+        assert.throws(() => dp.serialize([{x: 0, y: 0, f: () => 0}]), /function/);
+        assert.throws(() => dp.deserialize(JSON.stringify([dp.point(0, 0)])), /not a serialized/);
+        const newer = JSON.parse(dp.serialize([]));
+        newer.version = dp.serializationVersion + 1;
+        assert.throws(() => dp.deserialize(JSON.stringify(newer)), /version/);
+    });
+});
+
+describe("#clone", function () {
+    it("should copy draw points without turning sentinels into plain objects", function () {
+        const points = [dp.point(0, 0), dp.breakPoint, {x: 1, y: 2, cp1: dp.point(3, 4)}, dp.endPoint];
+        const copy = dp.clone(points);
+        assert.deepStrictEqual(copy, points);
+        assert.strictEqual(copy[1], dp.breakPoint);
+        assert.strictEqual(copy[3], dp.endPoint);
+        assert.notStrictEqual(copy[2].cp1, points[2].cp1);
+    });
+    it("should leave out undefined properties", function () {
+        const copy = dp.clone({x: 1, y: 2, cp1: undefined});
+        assert.deepStrictEqual(Object.keys(copy), ["x", "y"]);
+    });
+    it("should copy objects reached more than once without nesting", function () {
+        const shared = dp.point(1, 2);
+        const copy = dp.clone([shared, {x: 3, y: 4, cp1: shared}]);
+        assert.deepStrictEqual(copy[0], shared);
+        assert.deepStrictEqual(copy[1].cp1, shared);
+    });
+    it("should throw on objects that contain themselves", function () {
+        const pt = dp.point(1, 2);
+        pt.cp1 = pt;
+        assert.throws(() => dp.clone([pt]), TypeError);
+        const points = [dp.point(0, 0)];
+        points.push(points);
+        assert.throws(() => dp.clone(points), TypeError);
+    });
+});
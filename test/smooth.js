@@ -0,0 +1,110 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+// an S-shaped outline of cubic curves with a kink at every join, and a quadratic curve at the end
+function getKinkedPath() {
+    const points = [dp.point(0, 0), dp.point(10, 10), dp.point(20, 0), dp.point(30, 10), dp.point(40, 0)];
+    points[1].cp1 = dp.point(0, 5);
+    points[1].cp2 = dp.point(5, 12);
+    points[2].cp1 = dp.point(14, 14);
+    points[2].cp2 = dp.point(20, 5);
+    points[3].cp1 = dp.point(22, -2);
+    points[3].cp2 = dp.point(28, 15);
+    points[4].cp1 = dp.point(34, 5);
+    return points;
+}
+
+describe("#analyzeContinuity", function () {
+    it("should report the kink angle at every join", function () {
+        const joins = dp.analyzeContinuity(getKinkedPath());
+        assert.deepStrictEqual(joins.map(join => join.index), [1, 2, 3]);
+        joins.forEach(join => assert.strictEqual(join.continuity, "C0"));
+        // arrives going right and slightly down and leaves going right and up at 45 degrees
+        c.assertCloseTo(joins[0].angle, Math.atan2(2, 5) + Math.PI / 4);
+    });
+    it("should tell G1 and C1 joins apart", function () {
+        const circle = dp.drawCircle(dp.point(0, 0), 10);
+        const joins = dp.analyzeContinuity(circle);
+        // the closing join is included
+        assert.deepStrictEqual(joins.map(join => join.index), [1, 2, 3, 4]);
+        joins.forEach((join) => {
+            assert.strictEqual(join.continuity, "C1");
+            c.assertCloseTo(join.angle, 0);
+        });
+
+        const a = dp.point(10, 0);
+        a.cp1 = dp.point(0, 5);
+        a.cp2 = dp.point(5, 0);
+        const b = dp.point(30, 0);
+        b.cp1 = dp.point(20, 0);
+        b.cp2 = dp.point(25, 5);
+        const joinsAB = dp.analyzeContinuity([dp.point(0, 0), a, b]);
+        assert.strictEqual(joinsAB[0].continuity, "G1");
+    });
+    it("should not join across breaks", function () {
+        const joins = dp.analyzeContinuity([dp.point(0, 0), dp.point(10, 0), dp.breakPoint, dp.point(10, 0),
+            dp.point(10, 10)]);
+        assert.strictEqual(joins.length, 0);
+    });
+});
+
+describe("#smoothPath", function () {
+    it("should make every join G1 without touching the given points", function () {
+        const points = getKinkedPath();
+        const original = dp.clone(points);
+        const smoothed = dp.smoothPath(points);
+        assert.deepStrictEqual(points, original);
+        dp.analyzeContinuity(smoothed).forEach(join => assert.notStrictEqual(join.continuity, "C0"));
+        // the points on the path stay where they are
+        smoothed.forEach((p, i) => assert.deepStrictEqual(dp.extractPoint(p), dp.extractPoint(points[i])));
+    });
+    it("should make every join C1", function () {
+        const smoothed = dp.smoothPath(getKinkedPath(), {continuity: "C1"});
+        dp.analyzeContinuity(smoothed).forEach(join => assert.strictEqual(join.continuity, "C1"));
+        // the quadratic curve becomes a cubic curve so both of its ends have a handle
+        assert(smoothed[4].cp1 && smoothed[4].cp2);
+    });
+    it("should leave corners alone", function () {
+        const points = getKinkedPath();
+        const smoothed = dp.smoothPath(points, {corners: [2]});
+        assert.deepStrictEqual(smoothed[2].cp2, points[2].cp2);
+        assert.deepStrictEqual(smoothed[3].cp1, points[3].cp1);
+        assert.deepStrictEqual(dp.analyzeContinuity(smoothed).map(join => join.continuity !== "C0"),
+            [true, false, true]);
+
+        const sharp = dp.smoothPath(points, {cornerAngle: 0.5});
+        assert.deepStrictEqual(dp.analyzeContinuity(sharp).map(join => join.continuity !== "C0"),
+            dp.analyzeContinuity(points).map(join => join.angle <= 0.5));
+    });
+    it("should keep lines straight and have curves follow them", function () {
+        const end = dp.point(20, 10);
+        end.cp1 = dp.point(15, 0);
+        end.cp2 = dp.point(20, 5);
+        const points = [dp.point(0, 0), dp.point(10, 0), end, dp.point(20, 20), dp.point(0, 20)];
+        const smoothed = dp.smoothPath(points, {continuity: "C1"});
+        assert.deepStrictEqual(smoothed[1], points[1]);
+        assert.deepStrictEqual(smoothed[3], points[3]);
+        c.assertDeepCloseTo(smoothed[2].cp1, dp.point(10 + 10 / 3, 0));
+        c.assertDeepCloseTo(smoothed[2].cp2, dp.point(20, 10 - 10 / 3));
+        const joins = dp.analyzeContinuity(smoothed);
+        assert.deepStrictEqual(joins.map(join => join.continuity), ["C1", "C1", "C0"]);
+    });
+    it("should smooth where closed subpaths close", function () {
+        const square = [dp.point(0, 0), dp.point(10, 0), dp.point(10, 10), dp.point(0, 10), dp.point(0, 0)];
+        // the same square drawn with curves that bulge a little
+        const curved = [square[0]].concat(square.slice(1).map((p, i) => {
+            const bulged = dp.clone(p);
+            bulged.cp1 = dp.simpleQuadratic(square[i], p, 0.5, 0.1);
+            return bulged;
+        }), [dp.endPoint]);
+        const smoothed = dp.smoothPath(curved);
+        assert.strictEqual(smoothed[smoothed.length - 1], dp.endPoint);
+        const joins = dp.analyzeContinuity(smoothed);
+        assert.deepStrictEqual(joins.map(join => join.index), [1, 2, 3, 4]);
+        joins.forEach(join => assert.notStrictEqual(join.continuity, "C0"));
+
+        const cornered = dp.analyzeContinuity(dp.smoothPath(curved, {corners: [0]}));
+        assert.strictEqual(cornered[3].continuity, "C0");
+    });
+});
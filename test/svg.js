@@ -0,0 +1,137 @@
+const dp = require("../dist/drawpoint");
+const assert = require("assert");
+const c = require("./common");
+
+describe("#toSVGPath", function () {
+    it("should return an empty string when there are no points", function () {
+        assert.strictEqual(dp.toSVGPath(), "");
+        assert.strictEqual(dp.toSVGPath(null, dp.breakPoint), "");
+    });
+    it("should move to the first point and draw lines to points without control points",
+        function () {
+            const d = dp.toSVGPath(dp.point(0, 0), dp.point(10, 5), dp.point(-3.5, 2));
+            assert.strictEqual(d, "M 0 0 L 10 5 L -3.5 2");
+        });
+    it("should draw quadratic curves with either control point", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(5, 5);
+        const p3 = dp.point(20, 0);
+        p3.cp2 = dp.point(15, -5);
+        assert.strictEqual(dp.toSVGPath(dp.point(0, 0), p2, p3),
+            "M 0 0 Q 5 5 10 0 Q 15 -5 20 0");
+    });
+    it("should draw cubic curves when both control points are given", function () {
+        const p2 = dp.point(10, 0);
+        p2.cp1 = dp.point(2, 5);
+        p2.cp2 = dp.point(8, 5);
+        assert.strictEqual(dp.toSVGPath(dp.point(0, 0), p2), "M 0 0 C 2 5 8 5 10 0");
+    });
+    it("should start a new subpath after breakPoint and close with endPoint", function () {
+        const d = dp.toSVGPath(dp.point(0, 0), dp.point(1, 0), dp.point(1, 1), dp.endPoint,
+            dp.breakPoint, dp.point(5, 5), dp.point(6, 6));
+        assert.strictEqual(d, "M 0 0 L 1 0 L 1 1 Z M 5 5 L 6 6");
+    });
+    it("should skip missing points like drawPoints does", function () {
+        const d = dp.toSVGPath(null, dp.point(0, 0), null, dp.point(1, 2));
+        assert.strictEqual(d, "M 0 0 L 1 2");
+    });
+    it("should follow the same path as drawPoints", function () {
+        const points = dp.drawCircle(c.getRandomPoint(), c.randInt(1, 50));
+        const calls = [];
+        const ctx = {
+            moveTo: (x, y) => calls.push(`M ${x} ${y}`),
+            lineTo: (x, y) => calls.push(`L ${x} ${y}`),
+            quadraticCurveTo: (cx, cy, x, y) => calls.push(`Q ${cx} ${cy} ${x} ${y}`),
+            bezierCurveTo: (cx1, cy1, cx2, cy2, x, y) =>
+                calls.push(`C ${cx1} ${cy1} ${cx2} ${cy2} ${x} ${y}`),
+        };
+        dp.drawPoints(ctx, ...points);
+        assert.strictEqual(dp.toSVGPath(...points), calls.join(" "));
+    });
+});
+
+describe("#parseSVGPath", function () {
+    it("should parse absolute lines and moves", function () {
+        const points = dp.parseSVGPath("M 10 20 L 30 40 H 50 V 60");
+        assert.deepStrictEqual(points, [dp.point(10, 20), dp.point(30, 40), dp.point(50, 40),
+            dp.point(50, 60)]);
+    });
+    it("should parse relative commands against the current point", function () {
+        const points = dp.parseSVGPath("m10,20 l5-5 h-5 v10");
+        assert.deepStrictEqual(points, [dp.point(10, 20), dp.point(15, 15), dp.point(10, 15),
+            dp.point(10, 25)]);
+    });
+    it("should treat extra coordinates after a move as lines", function () {
+        const points = dp.parseSVGPath("M0 0 1 1 2 0");
+        assert.deepStrictEqual(points, [dp.point(0, 0), dp.point(1, 1), dp.point(2, 0)]);
+    });
+    it("should parse compact numbers", function () {
+        const points = dp.parseSVGPath("M.5.5L-1-2e1");
+        assert.deepStrictEqual(points, [dp.point(0.5, 0.5), dp.point(-1, -20)]);
+    });
+    it("should parse cubic and quadratic curves", function () {
+        const points = dp.parseSVGPath("M0 0 C 1 2 3 4 5 6 q 1 1 2 0");
+        assert.deepStrictEqual(points[1].cp1, dp.point(1, 2));
+        assert.deepStrictEqual(points[1].cp2, dp.point(3, 4));
+        assert.deepStrictEqual(dp.extractPoint(points[1]), dp.point(5, 6));
+        assert.deepStrictEqual(points[2].cp1, dp.point(6, 7));
+        assert.strictEqual(points[2].cp2, undefined);
+        assert.deepStrictEqual(dp.extractPoint(points[2]), dp.point(7, 6));
+    });
+    it("should reflect the previous control point for smooth curves", function () {
+        const points = dp.parseSVGPath("M0 0 C 0 10 10 10 10 0 S 20 -10 20 0 Q 25 5 30 0 T 40 0");
+        assert.deepStrictEqual(points[2].cp1, dp.continueCurve(points[0], points[1]));
+        assert.deepStrictEqual(points[2].cp1, dp.point(10, -10));
+        assert.deepStrictEqual(points[4].cp1, dp.point(35, -5));
+    });
+    it("should use the current point as control point for smooth curves without a previous one",
+        function () {
+            const points = dp.parseSVGPath("M0 0 S 5 5 10 0 T 20 0");
+            assert.deepStrictEqual(points[1].cp1, dp.point(0, 0));
+            assert.deepStrictEqual(points[2].cp1, dp.point(10, 0));
+        });
+    it("should mark closed subpaths and start new ones with breakPoint", function () {
+        const points = dp.parseSVGPath("M0 0 L 10 0 L 10 10 Z M 20 20 L 30 30 z");
+        assert.deepStrictEqual(points.slice(0, 4), [dp.point(0, 0), dp.point(10, 0),
+            dp.point(10, 10), dp.point(0, 0)]);
+        assert.strictEqual(points[4], dp.endPoint);
+        assert.strictEqual(points[5], dp.breakPoint);
+        assert.deepStrictEqual(points.slice(6, 8), [dp.point(20, 20), dp.point(30, 30)]);
+        assert.strictEqual(points[9], dp.endPoint);
+    });
+    it("should continue from the subpath start after closing it", function () {
+        const points = dp.parseSVGPath("M 5 5 L 10 5 z l 0 5");
+        assert.deepStrictEqual(points[points.length - 1], dp.point(5, 10));
+    });
+    it("should convert arcs to cubic curves along the ellipse", function () {
+        const center = c.getRandomPoint();
+        const r = c.randInt(1, 50);
+        // half circle from the left to the right of center then back along the other side
+        const points = dp.parseSVGPath(`M ${center.x - r} ${center.y} A ${r} ${r} 0 0 1 ` +
+            `${center.x + r} ${center.y} a${r} ${r} 0 1 1 ${-2 * r} 0`);
+        assert.strictEqual(points.length, 5);
+        c.assertDeepCloseTo(dp.extractPoint(points[2]), dp.point(center.x + r, center.y));
+        c.assertDeepCloseTo(dp.extractPoint(points[4]), dp.point(center.x - r, center.y));
+        for (let i = 1; i < points.length; ++i) {
+            [0.25, 0.5, 0.75].forEach((t) => {
+                const pt = dp.getPointOnCurve(t, points[i - 1], points[i]);
+                c.assertCloseTo(dp.norm(dp.diff(center, pt)), r, r * 0.001);
+            });
+        }
+    });
+    it("should scale up arc radii that are too small", function () {
+        const points = dp.parseSVGPath("M 0 0 A 1 1 0 0 0 10 0");
+        c.assertDeepCloseTo(dp.extractPoint(points[points.length - 1]), dp.point(10, 0));
+        const mid = dp.getPointOnCurve(1, points[0], points[1]);
+        c.assertCloseTo(Math.abs(mid.y), 5, 0.0001);
+    });
+    it("should stop parsing at the first error", function () {
+        assert.deepStrictEqual(dp.parseSVGPath("L 10 10"), []);
+        assert.deepStrictEqual(dp.parseSVGPath("M 0 0 L 10 10 L 5 X 1 1"),
+            [dp.point(0, 0), dp.point(10, 10)]);
+    });
+    it("should give back the same path data as toSVGPath", function () {
+        const d = "M 0 0 C 1 2 3 4 5 6 Q 7 8 9 10 L 11 12 L 0 0 Z M 20 20 L 30 30";
+        assert.strictEqual(dp.toSVGPath(...dp.parseSVGPath(d)), d);
+    });
+});
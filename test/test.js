@@ -23,4 +23,17 @@ describe('drawpoint', function() {
     importTest('numeric', './numeric');
     importTest('point', './point');
     importTest('curve', './curve');
+    importTest('draw', './draw');
+    importTest('matrix', './matrix');
+    importTest('path', './path');
+    importTest('svg', './svg');
+    importTest('offset', './offset');
+    importTest('fit', './fit');
+    importTest('morph', './morph');
+    importTest('boolean', './boolean');
+    importTest('animate', './animate');
+    importTest('raster', './raster');
+    importTest('rig', './rig');
+    importTest('serialize', './serialize');
+    importTest('smooth', './smooth');
 });